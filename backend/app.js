@@ -1,25 +1,60 @@
 require("dotenv").config()
 const express = require("express")
 const cors = require("cors")
-const { Pool } = require("pg")
 const crypto = require("crypto")
 const multer = require("multer")
 const path = require("path")
 const fs = require("fs")
+const os = require("os")
+const { pipeline } = require("stream/promises")
+const pool = require("./db")
+const { getPendingMigrations } = require("./migrator")
+const { ADMIN_ROLES, hashPassword, verifyPassword, createSession, requireAdmin } = require("./auth")
+const { recordAuditEvent } = require("./audit")
+const { isFormSecretConfigured, issueFormToken, screenContactSubmission } = require("./spam")
+const { COMPANY_NAME, formatAmount, formatDate, renderInvoicePdf, renderOfferLetterPdf } = require("./pdf")
+const { readStatement, reconcileStatement } = require("./reconcile")
+const { queueEmail, queueAdminEmail, startOutboxWorker } = require("./mailer")
+const {
+  CLIENT_LINK_EXPIRY_HOURS,
+  CANDIDATE_LINK_EXPIRY_HOURS,
+  OFFER_LINK_EXPIRY_HOURS,
+  clientLinkUrl,
+  candidateLinkUrl,
+  offerLinkUrl,
+  resolveExpiry,
+} = require("./links")
+const { startScheduler } = require("./scheduler")
+const { QUARANTINE_PREFIX, SCANNER, isScannerConfigured, inspectFile, scanCandidateUpload, isScanPassed } = require("./filescan")
+const { getStorage } = require("./storage")
+const {
+  DEFAULT_DOCUMENT_CHECKLIST,
+  getDocumentChecklist,
+  getDocumentProgress,
+  markChecklistComplete,
+} = require("./checklist")
+const { isSecretConfigured, createSignedDownloadPath, verifySignedDownload } = require("./signed-urls")
+const {
+  SIGNATURE_HEADER,
+  isGatewayConfigured,
+  toMinorUnits,
+  createGatewayOrder,
+  verifyWebhookSignature,
+} = require("./gateway")
 
 const app = express()
 const port = process.env.PORT || 5000
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, "uploads")
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true })
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the real client address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
 }
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Candidate documents are only staged in the temp directory;
+// once checked they are put in the configured store (see storage.js).
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, "uploads/")
+    cb(null, os.tmpdir())
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9)
@@ -32,6 +67,7 @@ const upload = multer({
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
+  // Only a first pass on what the browser claims; the content is checked once the file is saved
   fileFilter: (req, file, cb) => {
     if (file.mimetype === "application/pdf") {
       cb(null, true)
@@ -41,147 +77,87 @@ const upload = multer({
   },
 })
 
-// Middleware
-app.use(cors())
-app.use(express.json())
-app.use("/uploads", express.static("uploads"))
-app.use(cors({
-  origin: "*", // Allow all origins for development
-}));
+// Payment receipts - PDF or image, staged in the temp directory like candidate documents
+const RECEIPT_MIME_TYPES = ["application/pdf", "image/png", "image/jpeg"]
 
-// PostgreSQL setup
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false,
+const receiptStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, os.tmpdir())
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9)
+    cb(null, "receipt-" + uniqueSuffix + path.extname(file.originalname))
   },
 })
 
-// Create tables if not exist
-const initializeDb = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS contacts (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        phone VARCHAR(20) NOT NULL,
-        subject VARCHAR(100) NOT NULL,
-        message TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS clients (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        phone VARCHAR(20) NOT NULL,
-        company VARCHAR(100),
-        project_name VARCHAR(200) NOT NULL,
-        project_id VARCHAR(50) UNIQUE NOT NULL,
-        zorvixe_id VARCHAR(50) UNIQUE NOT NULL,
-        payment_amount NUMERIC(10, 2) NOT NULL,
-        project_description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS client_links (
-        id SERIAL PRIMARY KEY,
-        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
-        token VARCHAR(100) UNIQUE NOT NULL,
-        active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NOT NULL,
-        payment_completed BOOLEAN DEFAULT FALSE,
-        reference_id VARCHAR(50)
-      )
-    `)
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS payment_registrations (
-        id SERIAL PRIMARY KEY,
-        client_id INTEGER REFERENCES clients(id),
-        client_name VARCHAR(100) NOT NULL,
-        project_name VARCHAR(100) NOT NULL,
-        project_id VARCHAR(50) NOT NULL,
-        zorvixe_id VARCHAR(50) NOT NULL,
-        amount NUMERIC(10, 2) NOT NULL,
-        due_date DATE NOT NULL,
-        receipt_url TEXT NOT NULL,
-        reference_id VARCHAR(50) UNIQUE NOT NULL,
-        status VARCHAR(20) DEFAULT 'pending',
-        project_description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS payment_links (
-        id SERIAL PRIMARY KEY,
-        token VARCHAR(100) UNIQUE NOT NULL,
-        active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    // Candidates table - PDFs stored permanently
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS candidates (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) NOT NULL,
-        phone VARCHAR(20) NOT NULL,
-        position VARCHAR(100),
-        candidate_id VARCHAR(50) UNIQUE NOT NULL,
-        status VARCHAR(20) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    // Candidate links table - only links expire, not the PDFs
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS candidate_links (
-        id SERIAL PRIMARY KEY,
-        candidate_id INTEGER REFERENCES candidates(id) ON DELETE CASCADE,
-        token VARCHAR(100) UNIQUE NOT NULL,
-        active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        expires_at TIMESTAMP NOT NULL,
-        upload_completed BOOLEAN DEFAULT FALSE
-      )
-    `)
+const receiptUpload = multer({
+  storage: receiptStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (RECEIPT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error("Only PDF, PNG or JPEG receipts are allowed!"), false)
+    }
+  },
+})
 
-    // Candidate uploads table - PDFs persist permanently
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS candidate_uploads (
-        id SERIAL PRIMARY KEY,
-        candidate_id INTEGER REFERENCES candidates(id) ON DELETE CASCADE,
-        file_name VARCHAR(255) NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size BIGINT NOT NULL,
-        upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        status VARCHAR(20) DEFAULT 'uploaded'
-      )
-    `)
+// Bank statement exports - CSV, parsed straight from memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      cb(null, true)
+    } else {
+      cb(new Error("Only CSV statement files are allowed!"), false)
+    }
+  },
+})
 
-    // Insert the fixed token if not exists
-    await pool.query(`
-      INSERT INTO payment_links (token)
-      VALUES ('4vXcZpLmKjQ8aTyNfRbEoWg7HdUs29qT')
-      ON CONFLICT (token) DO NOTHING
-    `)
+// Run a multer middleware and answer upload errors (bad type, too large) as 400 JSON
+const acceptUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message })
+    }
+    next()
+  })
+}
 
-    console.log("Database initialized")
-  } catch (err) {
-    console.error("Database initialization error:", err)
+// Send a file stream as the response. If reading fails part-way the response is destroyed, so the
+// client sees a failed download rather than a truncated file. Headers are already sent by then, so
+// the error is only logged.
+const streamFile = async (fileStream, res) => {
+  try {
+    await pipeline(fileStream, res)
+  } catch (error) {
+    // The client going away mid-download is not worth logging
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("Error streaming file:", error)
   }
 }
 
-initializeDb()
+// Ids sent in request bodies: a positive integer, as a number or a string of digits. Number()
+// alone would let through null, "" and true.
+const isPositiveInteger = (value) => ["number", "string"].includes(typeof value) && /^[1-9]\d*$/.test(String(value))
+
+// Middleware
+app.use(cors())
+// Keep the raw body around so webhook signatures can be checked against the exact bytes sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf
+    },
+  }),
+)
+app.use(cors({
+  origin: "*", // Allow all origins for development
+}));
 
 // Generate unique IDs
 const generateProjectId = () => {
@@ -195,6 +171,12 @@ const generateZorvixeId = () => {
   return `ZOR-${random}`
 }
 
+const generatePaymentReferenceId = () => {
+  const year = new Date().getFullYear()
+  const randomString = Math.random().toString(36).substr(2, 6).toUpperCase()
+  return `PAY-${year}-${randomString}`
+}
+
 const generateCandidateId = () => {
   const timestamp = Date.now().toString().slice(-6)
   const random = Math.random().toString(36).substr(2, 4).toUpperCase()
@@ -206,709 +188,6392 @@ app.get("/health", (req, res) => {
   res.status(200).json({ status: "ok" })
 })
 
-// Contact form submission
-app.post("/api/contact/submit", async (req, res) => {
-  const { name, email, phone, subject, message } = req.body
-
-  const errors = {}
-  if (!name || name.trim().length < 3) errors.name = "Name must be at least 3 characters"
-  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Valid email is required"
-  if (!phone || !/^[6-9]\d{9}$/.test(phone)) errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
-  if (!subject) errors.subject = "Please select a service"
-  if (!message || message.trim().length < 10) errors.message = "Message must be at least 10 characters"
-
-  if (Object.keys(errors).length > 0) {
-    return res.status(400).json({ errors })
-  }
-
-  try {
-    const result = await pool.query(
-      `INSERT INTO contacts (name, email, phone, subject, message)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [name, email, phone, subject, message],
-    )
+// ADMIN AUTH ROUTES
+app.post("/api/admin/login", async (req, res) => {
+  const { email, password } = req.body || {}
 
-    res.status(201).json({
-      success: true,
-      message: "Form submitted successfully",
-      data: result.rows[0],
-    })
-  } catch (error) {
-    console.error("Database error:", error)
-    res.status(500).json({
+  if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+    return res.status(400).json({
       success: false,
-      message: "Failed to submit form",
-      error: error.message,
+      message: "Email and password are required",
     })
   }
-})
 
-// Get all contact submissions
-app.get("/api/contacts", async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT * FROM contacts 
-      ORDER BY created_at DESC
-    `)
+    const result = await pool.query(`SELECT * FROM admin_users WHERE email = $1 AND active = true`, [
+      email.trim().toLowerCase(),
+    ])
 
-    const contacts = result.rows.map((contact) => ({
-      ...contact,
-      created_at: new Date(contact.created_at).toLocaleString(),
-    }))
-
-    res.status(200).json(contacts)
-  } catch (error) {
-    console.error("Error fetching contacts:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch contacts",
-      error: error.message,
-    })
-  }
-})
-
-// CLIENT MANAGEMENT ROUTES
-app.post("/api/admin/clients", async (req, res) => {
-  const { name, email, phone, company, projectName, paymentAmount, projectDescription } = req.body
+    const admin = result.rows[0]
 
-  try {
-    const projectId = generateProjectId()
-    const zorvixeId = generateZorvixeId()
+    if (!admin || !verifyPassword(password, admin.password_hash)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      })
+    }
 
-    const result = await pool.query(
-      `INSERT INTO clients (name, email, phone, company, project_name, project_id, zorvixe_id, payment_amount, project_description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING *`,
-      [name, email, phone, company, projectName, projectId, zorvixeId, paymentAmount, projectDescription],
-    )
+    const { token, expiresAt } = await createSession(admin.id, req.ip)
+    await pool.query(`UPDATE admin_users SET last_login_at = NOW() WHERE id = $1`, [admin.id])
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      client: result.rows[0],
+      token,
+      expiresAt,
+      admin: { id: admin.id, name: admin.name, email: admin.email, role: admin.role },
     })
   } catch (error) {
-    console.error("Error creating client:", error)
-    res.status(500).json({ success: false, message: "Failed to create client" })
+    console.error("Error logging in:", error)
+    res.status(500).json({ success: false, message: "Failed to log in" })
   }
 })
 
-// Get all clients
-app.get("/api/admin/clients", async (req, res) => {
+app.post("/api/admin/logout", requireAdmin(), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT c.*,
-             cl.token AS active_token,
-             cl.expires_at AS token_expiry,
-             cl.active AS token_active,
-             cl.payment_completed,
-             cl.reference_id
-      FROM clients c
-      LEFT JOIN client_links cl ON c.id = cl.client_id 
-        AND cl.expires_at > NOW() 
-       AND cl.active = true
-      ORDER BY c.created_at DESC
-    `)
+    await pool.query(`UPDATE admin_sessions SET revoked_at = NOW() WHERE id = $1`, [req.admin.session_id])
 
-    res.status(200).json({ success: true, clients: result.rows })
+    res.status(200).json({ success: true, message: "Logged out" })
   } catch (error) {
-    console.error("Error fetching clients:", error)
-    res.status(500).json({ success: false, message: "Failed to fetch clients" })
+    console.error("Error logging out:", error)
+    res.status(500).json({ success: false, message: "Failed to log out" })
   }
 })
 
-// Generate payment link for client
-app.post("/api/admin/client-links", async (req, res) => {
-  const { clientId } = req.body
+app.get("/api/admin/me", requireAdmin(), (req, res) => {
+  const { session_id, ...admin } = req.admin
+  res.status(200).json({ success: true, admin })
+})
 
+// ADMIN USER MANAGEMENT ROUTES (superadmin only)
+app.get("/api/admin/users", requireAdmin("superadmin"), async (req, res) => {
   try {
-    const clientResult = await pool.query(`SELECT * FROM clients WHERE id = $1`, [clientId])
-
-    if (clientResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: "Client not found" })
-    }
-
-    const client = clientResult.rows[0]
-    const token = crypto.randomBytes(32).toString("hex")
-    const expiresAt = new Date()
-    expiresAt.setDate(expiresAt.getDate() + 30)
-
-    await pool.query(`UPDATE client_links SET active = false WHERE client_id = $1`, [clientId])
-
-    const result = await pool.query(
-      `INSERT INTO client_links (client_id, token, expires_at)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [clientId, token, expiresAt],
-    )
-
-    const paymentUrl = `https://zorvixetechnologies.onrender.com/payment/${token}`
+    const result = await pool.query(`
+      SELECT id, name, email, role, active, last_login_at, created_at
+      FROM admin_users
+      ORDER BY created_at DESC
+    `)
 
-    res.status(201).json({
-      success: true,
-      link: paymentUrl,
-      token,
-      expiresAt,
-      client: client,
-    })
+    res.status(200).json({ success: true, users: result.rows })
   } catch (error) {
-    console.error("Error generating link:", error)
-    res.status(500).json({ success: false, message: "Failed to generate link" })
+    console.error("Error fetching admin users:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch admin users" })
   }
 })
 
-// CANDIDATE MANAGEMENT ROUTES
-// Create new candidate
-app.post("/api/admin/candidates", async (req, res) => {
-  const { name, email, phone, position } = req.body
+app.post("/api/admin/users", requireAdmin("superadmin"), async (req, res) => {
+  const { name, email, password, role } = req.body
 
-  // Validation
   const errors = {}
   if (!name || name.trim().length < 3) errors.name = "Name must be at least 3 characters"
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Valid email is required"
-  if (!phone || !/^[6-9]\d{9}$/.test(phone)) errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
-  if (!position || position.trim().length < 2) errors.position = "Position must be at least 2 characters"
+  if (typeof password !== "string" || password.length < 8) errors.password = "Password must be at least 8 characters"
+  if (!ADMIN_ROLES.includes(role)) errors.role = `Role must be one of: ${ADMIN_ROLES.join(", ")}`
 
   if (Object.keys(errors).length > 0) {
     return res.status(400).json({ success: false, errors })
   }
 
   try {
-    const candidateId = generateCandidateId()
-
     const result = await pool.query(
-      `INSERT INTO candidates (name, email, phone, position, candidate_id)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [name, email, phone, position, candidateId],
+      `INSERT INTO admin_users (name, email, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, name, email, role, active, created_at`,
+      [name, email.trim().toLowerCase(), hashPassword(password), role],
     )
 
-    res.status(201).json({
-      success: true,
-      candidate: result.rows[0],
+    await recordAuditEvent(req, {
+      action: "admin_user.create",
+      entityType: "admin_user",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
     })
+
+    res.status(201).json({ success: true, user: result.rows[0] })
   } catch (error) {
-    console.error("Error creating candidate:", error)
+    console.error("Error creating admin user:", error)
     if (error.code === "23505") {
-      // Unique violation
       res.status(400).json({ success: false, message: "Email already exists" })
     } else {
-      res.status(500).json({ success: false, message: "Failed to create candidate" })
+      res.status(500).json({ success: false, message: "Failed to create admin user" })
     }
   }
 })
 
-// Get all candidates
-app.get("/api/admin/candidates", async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT c.*,
-             cl.token AS active_token,
-             cl.expires_at AS token_expiry,
-             cl.active AS token_active,
-             cl.upload_completed,
-             cu.file_name,
-             cu.file_size,
-             cu.upload_date
-      FROM candidates c
-      LEFT JOIN candidate_links cl ON c.id = cl.candidate_id 
-        AND cl.expires_at > NOW() 
-        AND cl.active = true
-      LEFT JOIN candidate_uploads cu ON c.id = cu.candidate_id
-      ORDER BY c.created_at DESC
-    `)
+// Change a user's role, active flag or password. A superadmin cannot demote or deactivate
+// themselves, and the last active superadmin cannot be demoted or deactivated by anyone: with none
+// left, user management is only reachable through create-admin on the server.
+app.put("/api/admin/users/:id", requireAdmin("superadmin"), async (req, res) => {
+  const { id } = req.params
+  const { role, active, password } = req.body || {}
 
-    res.status(200).json({ success: true, candidates: result.rows })
-  } catch (error) {
-    console.error("Error fetching candidates:", error)
-    res.status(500).json({ success: false, message: "Failed to fetch candidates" })
+  if (!isPositiveInteger(id)) {
+    return res.status(404).json({ success: false, message: "Admin user not found" })
   }
-})
 
-// Generate onboarding link for candidate (link expires, not PDF)
-app.post("/api/admin/candidate-links", async (req, res) => {
-  const { candidateId } = req.body
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, message: "Invalid role value" })
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return res.status(400).json({ success: false, message: "active must be true or false" })
+  }
+
+  if (password !== undefined && (typeof password !== "string" || password.length < 8)) {
+    return res.status(400).json({ success: false, message: "Password must be at least 8 characters" })
+  }
+
+  const removesSuperadmin = (role !== undefined && role !== "superadmin") || active === false
+
+  if (removesSuperadmin && Number(id) === req.admin.id) {
+    return res.status(409).json({ success: false, message: "You cannot demote or deactivate your own account" })
+  }
+
+  const db = await pool.connect()
 
   try {
-    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [candidateId])
+    await db.query("BEGIN")
 
-    if (candidateResult.rows.length === 0) {
-      return res.status(404).json({ success: false, message: "Candidate not found" })
+    // Locking the active superadmins serialises concurrent demotions, so two of them cannot each
+    // see the other as the one that remains
+    const superadmins = await db.query(
+      `SELECT id FROM admin_users WHERE role = 'superadmin' AND active = true ORDER BY id FOR UPDATE`,
+    )
+
+    const existing = await db.query(`SELECT id, name, email, role, active FROM admin_users WHERE id = $1 FOR UPDATE`, [id])
+
+    if (existing.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Admin user not found" })
     }
 
-    const candidate = candidateResult.rows[0]
-    const token = crypto.randomBytes(32).toString("hex")
-    const expiresAt = new Date()
-    expiresAt.setHours(expiresAt.getHours() + 5) // Link expires in 5 hours (changed from 2 hours)
+    const before = existing.rows[0]
 
-    // Deactivate any existing links for this candidate
-    await pool.query(`UPDATE candidate_links SET active = false WHERE candidate_id = $1`, [candidateId])
+    if (removesSuperadmin && before.role === "superadmin" && before.active && superadmins.rows.length <= 1) {
+      await db.query("ROLLBACK")
+      return res.status(409).json({ success: false, message: "At least one active superadmin is required" })
+    }
 
-    const result = await pool.query(
-      `INSERT INTO candidate_links (candidate_id, token, expires_at)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [candidateId, token, expiresAt],
+    const result = await db.query(
+      `UPDATE admin_users
+       SET role = COALESCE($1, role),
+           active = COALESCE($2, active),
+           password_hash = COALESCE($3, password_hash)
+       WHERE id = $4
+       RETURNING id, name, email, role, active, created_at`,
+      [role, active, password ? hashPassword(password) : null, id],
     )
 
-    const onboardingUrl = `https://zorvixetechnologies.onrender.com/onboarding/${token}`
+    // Deactivating a user or changing their password ends their existing sessions
+    if (active === false || password) {
+      await db.query(`UPDATE admin_sessions SET revoked_at = NOW() WHERE admin_id = $1 AND revoked_at IS NULL`, [id])
+    }
 
-    res.status(201).json({
-      success: true,
-      link: onboardingUrl,
-      token,
-      expiresAt,
-      candidate: candidate,
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: password ? "admin_user.update_with_password" : "admin_user.update",
+      entityType: "admin_user",
+      entityId: id,
+      before,
+      after: result.rows[0],
     })
+
+    res.status(200).json({ success: true, user: result.rows[0] })
   } catch (error) {
-    console.error("Error generating onboarding link:", error)
-    res.status(500).json({ success: false, message: "Failed to generate onboarding link" })
+    await db.query("ROLLBACK")
+    console.error("Error updating admin user:", error)
+    res.status(500).json({ success: false, message: "Failed to update admin user" })
+  } finally {
+    db.release()
   }
 })
 
-// Activate/Deactivate candidate onboarding link
-app.put("/api/admin/candidate-links/:candidateId/toggle", async (req, res) => {
-  const { candidateId } = req.params
-  const { active } = req.body
-
+// AUDIT TRAIL (superadmin only)
+app.get("/api/admin/audit", requireAdmin("superadmin"), async (req, res) => {
   try {
-    const result = await pool.query(
-      `UPDATE candidate_links 
-       SET active = $1 
-       WHERE candidate_id = $2 AND expires_at > NOW()
-       RETURNING *`,
-      [active, candidateId],
-    )
+    const { page = 1, limit = 50, entityType, entityId, actorId, action, from, to } = req.query
+    const offset = (page - 1) * limit
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "No active link found for this candidate",
-      })
+    let query = `
+      SELECT ae.*, COUNT(*) OVER() AS total_count
+      FROM audit_events ae
+    `
+
+    const params = []
+    const conditions = []
+
+    if (entityType) {
+      conditions.push(`ae.entity_type = $${params.length + 1}`)
+      params.push(entityType)
+    }
+
+    if (entityId) {
+      conditions.push(`ae.entity_id = $${params.length + 1}`)
+      params.push(String(entityId))
+    }
+
+    if (actorId) {
+      conditions.push(`ae.actor_id = $${params.length + 1}`)
+      params.push(actorId)
+    }
+
+    if (action) {
+      conditions.push(`ae.action = $${params.length + 1}`)
+      params.push(action)
+    }
+
+    if (from) {
+      conditions.push(`ae.created_at >= $${params.length + 1}`)
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push(`ae.created_at <= $${params.length + 1}`)
+      params.push(to)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY ae.created_at DESC, ae.id DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      events: result.rows.map((row) => {
+        const { total_count, ...event } = row
+        return event
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching audit events:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch audit events",
+      error: error.message,
+    })
+  }
+})
+
+// EMAIL OUTBOX ROUTES
+
+const EMAIL_STATUSES = ["pending", "sending", "sent", "failed"]
+
+app.get("/api/admin/emails", requireAdmin("superadmin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, template, recipient, entityType, entityId } = req.query
+    const offset = (page - 1) * limit
+
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${EMAIL_STATUSES.join(", ")}`,
+      })
+    }
+
+    let query = `
+      SELECT eo.id, eo.template, eo.recipient, eo.subject, eo.entity_type, eo.entity_id, eo.status,
+             eo.attempts, eo.last_error, eo.next_attempt_at, eo.sent_at, eo.created_at, eo.updated_at,
+             COUNT(*) OVER() AS total_count
+      FROM email_outbox eo
+    `
+
+    const params = []
+    const conditions = []
+
+    if (status) {
+      conditions.push(`eo.status = $${params.length + 1}`)
+      params.push(status)
+    }
+
+    if (template) {
+      conditions.push(`eo.template = $${params.length + 1}`)
+      params.push(template)
+    }
+
+    if (recipient) {
+      conditions.push(`eo.recipient ILIKE $${params.length + 1}`)
+      params.push(`%${recipient}%`)
+    }
+
+    if (entityType) {
+      conditions.push(`eo.entity_type = $${params.length + 1}`)
+      params.push(entityType)
+    }
+
+    if (entityId) {
+      conditions.push(`eo.entity_id = $${params.length + 1}`)
+      params.push(String(entityId))
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY eo.created_at DESC, eo.id DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      emails: result.rows.map((row) => {
+        const { total_count, ...email } = row
+        return email
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching emails:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch emails",
+      error: error.message,
+    })
+  }
+})
+
+app.get("/api/admin/emails/:id", requireAdmin("superadmin"), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM email_outbox WHERE id = $1`, [req.params.id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Email not found" })
+    }
+
+    res.status(200).json({ success: true, email: result.rows[0] })
+  } catch (error) {
+    console.error("Error fetching email:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch email" })
+  }
+})
+
+// Put a sent or failed email back in the queue with a fresh set of attempts
+app.post("/api/admin/emails/:id/resend", requireAdmin("superadmin"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const existing = await pool.query(`SELECT status, attempts FROM email_outbox WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Email not found" })
+    }
+
+    if (!["sent", "failed"].includes(existing.rows[0].status)) {
+      return res.status(400).json({ success: false, message: "Email is already queued for sending" })
+    }
+
+    const result = await pool.query(
+      `UPDATE email_outbox
+       SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id],
+    )
+
+    await recordAuditEvent(req, {
+      action: "email.resend",
+      entityType: "email",
+      entityId: id,
+      before: existing.rows[0],
+      after: { status: "pending", attempts: 0 },
+    })
+
+    res.status(200).json({ success: true, message: "Email queued for resending", email: result.rows[0] })
+  } catch (error) {
+    console.error("Error resending email:", error)
+    res.status(500).json({ success: false, message: "Failed to resend email" })
+  }
+})
+
+// Token the contact form fetches when it is rendered and sends back as "formToken". It carries the
+// signed time the form was issued, so the fill time cannot be faked or skipped.
+app.get("/api/contact/form-token", (req, res) => {
+  res.status(200).json({ success: true, formToken: issueFormToken() })
+})
+
+// Contact form submission
+// "website" is a hidden honeypot field and "formToken" comes from /api/contact/form-token;
+// submissions without a valid one are quarantined
+app.post("/api/contact/submit", async (req, res) => {
+  const { name, email, phone, subject, message, website, formToken } = req.body
+
+  const errors = {}
+  if (!name || name.trim().length < 3) errors.name = "Name must be at least 3 characters"
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Valid email is required"
+  if (!phone || !/^[6-9]\d{9}$/.test(phone)) errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
+  if (!subject) errors.subject = "Please select a service"
+  if (!message || message.trim().length < 10) errors.message = "Message must be at least 10 characters"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ errors })
+  }
+
+  try {
+    const screening = await screenContactSubmission({
+      email,
+      message,
+      honeypot: website,
+      formToken,
+      ipAddress: req.ip,
+    })
+
+    if (screening.action === "reject") {
+      return res.status(429).json({
+        success: false,
+        message: "Too many submissions. Please try again later.",
+      })
+    }
+
+    const quarantined = screening.action === "quarantine"
+
+    const result = await pool.query(
+      `INSERT INTO contacts (name, email, phone, subject, message, status, ip_address, message_hash, quarantine_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        name,
+        email,
+        phone,
+        subject,
+        message,
+        quarantined ? "quarantined" : "new",
+        req.ip,
+        screening.messageHash,
+        quarantined ? screening.reasons.join(", ") : null,
+      ],
+    )
+
+    if (!quarantined) {
+      await queueAdminEmail("finance", "contact.new", { contact: result.rows[0] }, {
+        entityType: "contact",
+        entityId: result.rows[0].id,
+      })
+    }
+
+    // Quarantined submissions get the same response so bots can't tell they were caught
+    res.status(201).json({
+      success: true,
+      message: "Form submitted successfully",
+      data: quarantined ? undefined : result.rows[0],
+    })
+  } catch (error) {
+    console.error("Database error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit form",
+      error: error.message,
+    })
+  }
+})
+
+// Get all contact submissions (unpaginated list kept for the existing dashboard)
+app.get("/api/contacts", requireAdmin("finance"), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM contacts 
+      WHERE status <> 'quarantined'
+      ORDER BY created_at DESC
+    `)
+
+    const contacts = result.rows.map((contact) => ({
+      ...contact,
+      created_at: new Date(contact.created_at).toLocaleString(),
+    }))
+
+    res.status(200).json(contacts)
+  } catch (error) {
+    console.error("Error fetching contacts:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contacts",
+      error: error.message,
+    })
+  }
+})
+
+// CONTACT INBOX ROUTES
+// "quarantined" is set only by the spam screening on submit and left via the release route
+const CONTACT_STATUSES = ["new", "in-progress", "responded", "won", "lost", "spam"]
+
+app.get("/api/admin/contacts", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, subject, assignedTo, from, to } = req.query
+    const offset = (page - 1) * limit
+
+    let query = `
+      SELECT ct.*, a.name AS assigned_to_name,
+             COUNT(*) OVER() AS total_count
+      FROM contacts ct
+      LEFT JOIN admin_users a ON ct.assigned_to = a.id
+    `
+
+    const params = []
+    const conditions = []
+
+    // Quarantined submissions only show up when asked for explicitly
+    if (status && status !== "all") {
+      conditions.push(`ct.status = $${params.length + 1}`)
+      params.push(status)
+    } else {
+      conditions.push(`ct.status <> 'quarantined'`)
+    }
+
+    if (subject) {
+      conditions.push(`ct.subject = $${params.length + 1}`)
+      params.push(subject)
+    }
+
+    if (assignedTo) {
+      conditions.push(`ct.assigned_to = $${params.length + 1}`)
+      params.push(assignedTo)
+    }
+
+    if (from) {
+      conditions.push(`ct.created_at >= $${params.length + 1}`)
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push(`ct.created_at <= $${params.length + 1}`)
+      params.push(to)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY ct.created_at DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      contacts: result.rows.map((row) => {
+        const { total_count, ...contact } = row
+        return contact
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching contacts:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch contacts",
+      error: error.message,
+    })
+  }
+})
+
+app.get("/api/admin/contacts/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const result = await pool.query(
+      `SELECT ct.*, a.name AS assigned_to_name,
+              cli.project_id AS client_project_id,
+              cli.zorvixe_id AS client_zorvixe_id,
+              cli.project_name AS client_project_name
+       FROM contacts ct
+       LEFT JOIN admin_users a ON ct.assigned_to = a.id
+       LEFT JOIN clients cli ON ct.client_id = cli.id
+       WHERE ct.id = $1`,
+      [id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Contact not found" })
+    }
+
+    const notesResult = await pool.query(
+      `SELECT n.*, a.name AS admin_name
+       FROM contact_notes n
+       LEFT JOIN admin_users a ON n.admin_id = a.id
+       WHERE n.contact_id = $1
+       ORDER BY n.created_at ASC`,
+      [id],
+    )
+
+    res.status(200).json({
+      success: true,
+      contact: { ...result.rows[0], notes: notesResult.rows },
+    })
+  } catch (error) {
+    console.error("Error fetching contact:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch contact" })
+  }
+})
+
+// Update contact status and/or assignment. Pass assignedTo: null to unassign.
+app.put("/api/admin/contacts/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const { status, assignedTo } = req.body
+
+  if (status !== undefined && !CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: "Invalid status value" })
+  }
+
+  if (status === undefined && assignedTo === undefined) {
+    return res.status(400).json({ success: false, message: "Nothing to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT status, assigned_to FROM contacts WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Contact not found" })
+    }
+
+    if (assignedTo !== undefined && assignedTo !== null) {
+      const adminResult = await pool.query(`SELECT id FROM admin_users WHERE id = $1 AND active = true`, [assignedTo])
+      if (adminResult.rows.length === 0) {
+        return res.status(400).json({ success: false, message: "Assigned admin not found" })
+      }
+    }
+
+    const before = existing.rows[0]
+    const nextStatus = status === undefined ? before.status : status
+    const nextAssignee = assignedTo === undefined ? before.assigned_to : assignedTo
+
+    const result = await pool.query(
+      `UPDATE contacts
+       SET status = $1, assigned_to = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING *`,
+      [nextStatus, nextAssignee, id],
+    )
+
+    await recordAuditEvent(req, {
+      action: "contact.update",
+      entityType: "contact",
+      entityId: id,
+      before,
+      after: { status: nextStatus, assigned_to: nextAssignee },
+    })
+
+    res.status(200).json({ success: true, message: "Contact updated", contact: result.rows[0] })
+  } catch (error) {
+    console.error("Error updating contact:", error)
+    res.status(500).json({ success: false, message: "Failed to update contact" })
+  }
+})
+
+// Convert a contact lead into a client. Name, email and phone come from the contact
+// unless overridden (overrides are checked like a new client's); project fields are supplied by
+// the admin. Quarantined and spam submissions cannot be converted.
+app.post("/api/admin/contacts/:id/convert", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const { company, projectName, paymentAmount, projectDescription } = req.body
+
+  const errors = validateClient(req.body, { partial: true })
+  if (projectName === undefined) errors.projectName = "Project name must be at least 2 characters"
+  if (paymentAmount === undefined) errors.paymentAmount = "Payment amount must be greater than 0"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const contactResult = await db.query(`SELECT * FROM contacts WHERE id = $1 FOR UPDATE`, [id])
+
+    if (contactResult.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Contact not found" })
+    }
+
+    const contact = contactResult.rows[0]
+
+    if (contact.client_id) {
+      await db.query("ROLLBACK")
+      return res.status(400).json({ success: false, message: "Contact has already been converted to a client" })
+    }
+
+    if (["quarantined", "spam"].includes(contact.status)) {
+      await db.query("ROLLBACK")
+      return res.status(409).json({
+        success: false,
+        message:
+          contact.status === "quarantined"
+            ? "Release this submission from quarantine before converting it"
+            : "Submissions marked as spam cannot be converted",
+      })
+    }
+
+    const name = req.body.name || contact.name
+    const email = req.body.email || contact.email
+    const phone = req.body.phone || contact.phone
+
+    const clientResult = await db.query(
+      `INSERT INTO clients (name, email, phone, company, project_name, project_id, zorvixe_id, payment_amount, project_description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        name,
+        email,
+        phone,
+        company,
+        projectName,
+        generateProjectId(),
+        generateZorvixeId(),
+        paymentAmount,
+        projectDescription,
+      ],
+    )
+
+    const client = clientResult.rows[0]
+
+    const updatedContact = await db.query(
+      `UPDATE contacts
+       SET client_id = $1, status = 'won', converted_at = NOW(), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [client.id, id],
+    )
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: "client.create",
+      entityType: "client",
+      entityId: client.id,
+      after: { ...client, source_contact_id: contact.id },
+    })
+
+    await recordAuditEvent(req, {
+      action: "contact.convert",
+      entityType: "contact",
+      entityId: id,
+      before: { status: contact.status, client_id: null },
+      after: { status: "won", client_id: client.id },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Contact converted to client",
+      client: { ...client, source_contact_id: contact.id },
+      contact: updatedContact.rows[0],
+    })
+  } catch (error) {
+    await db.query("ROLLBACK").catch(() => {})
+    console.error("Error converting contact:", error)
+    res.status(500).json({ success: false, message: "Failed to convert contact" })
+  } finally {
+    db.release()
+  }
+})
+
+// Release a quarantined submission into the inbox as a normal lead
+app.post("/api/admin/contacts/:id/release", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const existing = await pool.query(`SELECT status, quarantine_reason FROM contacts WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Contact not found" })
+    }
+
+    if (existing.rows[0].status !== "quarantined") {
+      return res.status(400).json({ success: false, message: "Contact is not quarantined" })
+    }
+
+    const result = await pool.query(
+      `UPDATE contacts SET status = 'new', updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [id],
+    )
+
+    await recordAuditEvent(req, {
+      action: "contact.release",
+      entityType: "contact",
+      entityId: id,
+      before: existing.rows[0],
+      after: { status: "new" },
+    })
+
+    res.status(200).json({ success: true, message: "Contact released", contact: result.rows[0] })
+  } catch (error) {
+    console.error("Error releasing contact:", error)
+    res.status(500).json({ success: false, message: "Failed to release contact" })
+  }
+})
+
+app.post("/api/admin/contacts/:id/notes", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const { note } = req.body
+
+  if (!note || note.trim().length === 0) {
+    return res.status(400).json({ success: false, message: "Note cannot be empty" })
+  }
+
+  try {
+    const contactResult = await pool.query(`SELECT id FROM contacts WHERE id = $1`, [id])
+
+    if (contactResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Contact not found" })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO contact_notes (contact_id, admin_id, note)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [id, req.admin.id, note.trim()],
+    )
+
+    await pool.query(`UPDATE contacts SET updated_at = NOW() WHERE id = $1`, [id])
+
+    await recordAuditEvent(req, {
+      action: "contact.add_note",
+      entityType: "contact",
+      entityId: id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({ success: true, note: { ...result.rows[0], admin_name: req.admin.name } })
+  } catch (error) {
+    console.error("Error adding contact note:", error)
+    res.status(500).json({ success: false, message: "Failed to add note" })
+  }
+})
+
+// CLIENT MANAGEMENT ROUTES
+// Billable total is the sum of live milestones, or the flat payment amount for clients without milestones
+const CLIENT_BALANCE_COLUMNS = `
+  COALESCE(
+    (SELECT SUM(m.amount) FROM client_milestones m WHERE m.client_id = c.id AND m.status <> 'cancelled'),
+    c.payment_amount
+  ) AS total_billable,
+  COALESCE(
+    (SELECT SUM(p.amount) FROM payment_registrations p WHERE p.client_id = c.id AND p.status = 'verified'),
+    0
+  ) AS total_paid
+`
+
+const withOutstandingBalance = (client) => ({
+  ...client,
+  outstanding_balance: Math.max(Number(client.total_billable) - Number(client.total_paid), 0),
+})
+
+// Create checks every field; update (partial) only checks the fields that were sent
+const validateClient = (data, { partial = false } = {}) => {
+  const errors = {}
+  const has = (field) => !partial || data[field] !== undefined
+
+  if (has("name") && (!data.name || data.name.trim().length < 3)) errors.name = "Name must be at least 3 characters"
+  if (has("email") && (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)))
+    errors.email = "Valid email is required"
+  if (has("phone") && (!data.phone || !/^[6-9]\d{9}$/.test(data.phone)))
+    errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
+  if (has("projectName") && (!data.projectName || data.projectName.trim().length < 2))
+    errors.projectName = "Project name must be at least 2 characters"
+  if (has("paymentAmount") && !(Number(data.paymentAmount) > 0))
+    errors.paymentAmount = "Payment amount must be greater than 0"
+
+  return errors
+}
+
+app.post("/api/admin/clients", requireAdmin("finance"), async (req, res) => {
+  const { name, email, phone, company, projectName, paymentAmount, projectDescription } = req.body
+
+  const errors = validateClient(req.body)
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const projectId = generateProjectId()
+    const zorvixeId = generateZorvixeId()
+
+    const result = await pool.query(
+      `INSERT INTO clients (name, email, phone, company, project_name, project_id, zorvixe_id, payment_amount, project_description)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [name, email, phone, company, projectName, projectId, zorvixeId, paymentAmount, projectDescription],
+    )
+
+    await recordAuditEvent(req, {
+      action: "client.create",
+      entityType: "client",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({
+      success: true,
+      client: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Error creating client:", error)
+    res.status(500).json({ success: false, message: "Failed to create client" })
+  }
+})
+
+// Get all clients (archived clients are hidden unless includeArchived=true), each with one active
+// link: the whole-project link if there is one, otherwise the newest milestone link
+app.get("/api/admin/clients", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, includeArchived } = req.query
+    const offset = (page - 1) * limit
+
+    let query = `
+      SELECT c.*,
+             cl.token AS active_token,
+             cl.expires_at AS token_expiry,
+             cl.active AS token_active,
+             cl.payment_completed,
+             cl.reference_id,
+             ct.id AS source_contact_id,
+             ct.created_at AS lead_created_at,
+             ct.converted_at,
+             ${CLIENT_BALANCE_COLUMNS},
+             COUNT(*) OVER() AS total_count
+      FROM clients c
+      LEFT JOIN LATERAL (
+        SELECT * FROM client_links l
+        WHERE l.client_id = c.id AND l.expires_at > NOW() AND l.active = true
+        ORDER BY l.milestone_id IS NULL DESC, l.created_at DESC
+        LIMIT 1
+      ) cl ON true
+      LEFT JOIN contacts ct ON ct.client_id = c.id
+    `
+
+    const params = []
+    const conditions = []
+
+    if (includeArchived !== "true") {
+      conditions.push(`c.archived_at IS NULL`)
+    }
+
+    if (search && search.trim()) {
+      conditions.push(`(c.name ILIKE $${params.length + 1}
+        OR c.email ILIKE $${params.length + 1}
+        OR c.company ILIKE $${params.length + 1}
+        OR c.project_name ILIKE $${params.length + 1}
+        OR c.project_id ILIKE $${params.length + 1}
+        OR c.zorvixe_id ILIKE $${params.length + 1})`)
+      params.push(`%${search.trim()}%`)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY c.created_at DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      clients: result.rows.map((row) => {
+        const { total_count, ...client } = row
+        return withOutstandingBalance(client)
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching clients:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch clients" })
+  }
+})
+
+// Get a single client with its link and payment history
+app.get("/api/admin/clients/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const result = await pool.query(
+      `SELECT c.*,
+              ct.id AS source_contact_id,
+              ct.created_at AS lead_created_at,
+              ct.converted_at,
+              ${CLIENT_BALANCE_COLUMNS}
+       FROM clients c
+       LEFT JOIN contacts ct ON ct.client_id = c.id
+       WHERE c.id = $1`,
+      [id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found" })
+    }
+
+    const linksResult = await pool.query(
+      `SELECT * FROM client_links WHERE client_id = $1 ORDER BY created_at DESC`,
+      [id],
+    )
+
+    const paymentsResult = await pool.query(
+      `SELECT * FROM payment_registrations WHERE client_id = $1 ORDER BY created_at DESC`,
+      [id],
+    )
+
+    const milestonesResult = await pool.query(
+      `SELECT * FROM client_milestones WHERE client_id = $1 ORDER BY sequence, id`,
+      [id],
+    )
+
+    res.status(200).json({
+      success: true,
+      client: {
+        ...withOutstandingBalance(result.rows[0]),
+        links: linksResult.rows,
+        payments: paymentsResult.rows,
+        milestones: milestonesResult.rows,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching client:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch client" })
+  }
+})
+
+// Update client details - only the fields sent are changed
+app.put("/api/admin/clients/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  const errors = validateClient(req.body, { partial: true })
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const columns = {
+    name: "name",
+    email: "email",
+    phone: "phone",
+    company: "company",
+    projectName: "project_name",
+    paymentAmount: "payment_amount",
+    projectDescription: "project_description",
+  }
+
+  const fields = Object.keys(columns).filter((field) => req.body[field] !== undefined)
+
+  if (fields.length === 0) {
+    return res.status(400).json({ success: false, message: "Nothing to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM clients WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found" })
+    }
+
+    const assignments = fields.map((field, index) => `${columns[field]} = $${index + 1}`)
+    const params = fields.map((field) => req.body[field])
+
+    const result = await pool.query(
+      `UPDATE clients
+       SET ${assignments.join(", ")}, updated_at = NOW()
+       WHERE id = $${params.length + 1}
+       RETURNING *`,
+      [...params, id],
+    )
+
+    const before = {}
+    const after = {}
+    fields.forEach((field) => {
+      before[columns[field]] = existing.rows[0][columns[field]]
+      after[columns[field]] = result.rows[0][columns[field]]
+    })
+
+    await recordAuditEvent(req, {
+      action: "client.update",
+      entityType: "client",
+      entityId: id,
+      before,
+      after,
+    })
+
+    res.status(200).json({ success: true, message: "Client updated", client: result.rows[0] })
+  } catch (error) {
+    console.error("Error updating client:", error)
+    res.status(500).json({ success: false, message: "Failed to update client" })
+  }
+})
+
+// Archive a client (soft delete). Payment history is kept; open payment links are closed.
+app.delete("/api/admin/clients/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const result = await pool.query(
+      `UPDATE clients
+       SET archived_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND archived_at IS NULL
+       RETURNING *`,
+      [id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found or already archived" })
+    }
+
+    await pool.query(
+      `UPDATE client_links
+       SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = 'Client archived'
+       WHERE client_id = $2 AND active = true`,
+      [req.admin.id, id],
+    )
+
+    await recordAuditEvent(req, {
+      action: "client.archive",
+      entityType: "client",
+      entityId: id,
+      before: { archived_at: null },
+      after: { archived_at: result.rows[0].archived_at },
+    })
+
+    res.status(200).json({ success: true, message: "Client archived", client: result.rows[0] })
+  } catch (error) {
+    console.error("Error archiving client:", error)
+    res.status(500).json({ success: false, message: "Failed to archive client" })
+  }
+})
+
+app.post("/api/admin/clients/:id/restore", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const result = await pool.query(
+      `UPDATE clients
+       SET archived_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND archived_at IS NOT NULL
+       RETURNING *`,
+      [id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Archived client not found" })
+    }
+
+    await recordAuditEvent(req, {
+      action: "client.restore",
+      entityType: "client",
+      entityId: id,
+      after: { archived_at: null },
+    })
+
+    res.status(200).json({ success: true, message: "Client restored", client: result.rows[0] })
+  } catch (error) {
+    console.error("Error restoring client:", error)
+    res.status(500).json({ success: false, message: "Failed to restore client" })
+  }
+})
+
+// CLIENT MILESTONE ROUTES
+// Milestone statuses: pending, submitted, paid, cancelled.
+// A milestone's status follows its payments: paid once one is verified, submitted while one
+// awaits verification, otherwise pending. Cancelled milestones are left alone.
+const syncMilestoneStatus = async (milestoneId) => {
+  if (!milestoneId) return
+
+  await pool.query(
+    `UPDATE client_milestones m
+     SET status = CASE
+           WHEN EXISTS (SELECT 1 FROM payment_registrations p WHERE p.milestone_id = m.id AND p.status = 'verified') THEN 'paid'
+           WHEN EXISTS (SELECT 1 FROM payment_registrations p WHERE p.milestone_id = m.id AND p.status = 'pending') THEN 'submitted'
+           ELSE 'pending'
+         END,
+         updated_at = NOW()
+     WHERE m.id = $1 AND m.status <> 'cancelled'`,
+    [milestoneId],
+  )
+}
+
+app.get("/api/admin/clients/:id/milestones", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const clientResult = await pool.query(`SELECT c.id, ${CLIENT_BALANCE_COLUMNS} FROM clients c WHERE c.id = $1`, [id])
+
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found" })
+    }
+
+    const result = await pool.query(
+      `SELECT m.*,
+              COALESCE((SELECT SUM(p.amount) FROM payment_registrations p
+                        WHERE p.milestone_id = m.id AND p.status = 'verified'), 0) AS amount_paid
+       FROM client_milestones m
+       WHERE m.client_id = $1
+       ORDER BY m.sequence, m.id`,
+      [id],
+    )
+
+    const { total_billable, total_paid, outstanding_balance } = withOutstandingBalance(clientResult.rows[0])
+
+    res.status(200).json({
+      success: true,
+      milestones: result.rows,
+      balance: {
+        totalBillable: Number(total_billable),
+        totalPaid: Number(total_paid),
+        outstanding: outstanding_balance,
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching milestones:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch milestones" })
+  }
+})
+
+// Add milestones to a client. Accepts a single milestone or { milestones: [...] }; each needs a
+// title and either an amount or a percentage of the client's payment amount.
+app.post("/api/admin/clients/:id/milestones", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const items = Array.isArray(req.body.milestones) ? req.body.milestones : [req.body]
+
+  try {
+    const clientResult = await pool.query(`SELECT * FROM clients WHERE id = $1`, [id])
+
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found" })
+    }
+
+    const client = clientResult.rows[0]
+
+    const errors = {}
+    const milestones = items.map((item, index) => {
+      const amount =
+        item.amount !== undefined
+          ? Number(item.amount)
+          : Math.round(Number(client.payment_amount) * Number(item.percentage)) / 100
+
+      if (!item.title || item.title.trim().length < 2) errors[`${index}.title`] = "Title must be at least 2 characters"
+      if (!(amount > 0)) errors[`${index}.amount`] = "Amount (or percentage) must be greater than 0"
+      if (item.dueDate && isNaN(new Date(item.dueDate).getTime())) errors[`${index}.dueDate`] = "Invalid due date"
+
+      return { title: item.title, amount, dueDate: item.dueDate || null }
+    })
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, errors })
+    }
+
+    const sequenceResult = await pool.query(
+      `SELECT COALESCE(MAX(sequence), 0) AS last FROM client_milestones WHERE client_id = $1`,
+      [id],
+    )
+    let sequence = Number(sequenceResult.rows[0].last)
+
+    const created = []
+    for (const milestone of milestones) {
+      sequence++
+      const result = await pool.query(
+        `INSERT INTO client_milestones (client_id, title, amount, due_date, sequence)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [id, milestone.title.trim(), milestone.amount, milestone.dueDate, sequence],
+      )
+      created.push(result.rows[0])
+    }
+
+    await recordAuditEvent(req, {
+      action: "milestone.create",
+      entityType: "client",
+      entityId: id,
+      after: { milestones: created },
+    })
+
+    res.status(201).json({ success: true, milestones: created })
+  } catch (error) {
+    console.error("Error creating milestones:", error)
+    res.status(500).json({ success: false, message: "Failed to create milestones" })
+  }
+})
+
+// Update a milestone's title, amount, due date, or cancel/reinstate it
+app.put("/api/admin/milestones/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const { title, amount, dueDate, status } = req.body
+
+  const errors = {}
+  if (title !== undefined && (!title || title.trim().length < 2)) errors.title = "Title must be at least 2 characters"
+  if (amount !== undefined && !(Number(amount) > 0)) errors.amount = "Amount must be greater than 0"
+  if (dueDate && isNaN(new Date(dueDate).getTime())) errors.dueDate = "Invalid due date"
+  if (status !== undefined && !["cancelled", "pending"].includes(status))
+    errors.status = "Status can only be set to cancelled or pending"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM client_milestones WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Milestone not found" })
+    }
+
+    const milestone = existing.rows[0]
+
+    if (milestone.status === "paid" && (amount !== undefined || status === "cancelled")) {
+      return res.status(400).json({ success: false, message: "A paid milestone cannot be changed or cancelled" })
+    }
+
+    const result = await pool.query(
+      `UPDATE client_milestones
+       SET title = COALESCE($1, title),
+           amount = COALESCE($2, amount),
+           due_date = COALESCE($3, due_date),
+           status = COALESCE($4, status),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [title ? title.trim() : null, amount, dueDate, status, id],
+    )
+
+    if (status === "cancelled") {
+      await pool.query(
+        `UPDATE client_links
+         SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = 'Milestone cancelled'
+         WHERE milestone_id = $2 AND active = true`,
+        [req.admin.id, id],
+      )
+    } else if (status === "pending") {
+      // Reinstating: work the real status back out from the milestone's payments
+      await syncMilestoneStatus(id)
+    }
+
+    await recordAuditEvent(req, {
+      action: "milestone.update",
+      entityType: "milestone",
+      entityId: id,
+      before: milestone,
+      after: result.rows[0],
+    })
+
+    res.status(200).json({ success: true, message: "Milestone updated", milestone: result.rows[0] })
+  } catch (error) {
+    console.error("Error updating milestone:", error)
+    res.status(500).json({ success: false, message: "Failed to update milestone" })
+  }
+})
+
+// Delete a milestone that has no payments against it. Its open payment links are revoked first;
+// otherwise they would lose their milestone and bill the whole project.
+app.delete("/api/admin/milestones/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const paymentsResult = await db.query(`SELECT id FROM payment_registrations WHERE milestone_id = $1 LIMIT 1`, [id])
+
+    if (paymentsResult.rows.length > 0) {
+      await db.query("ROLLBACK")
+      return res.status(400).json({
+        success: false,
+        message: "Milestone has payments registered against it; cancel it instead",
+      })
+    }
+
+    const revoked = await db.query(
+      `UPDATE client_links
+       SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = 'Milestone deleted'
+       WHERE milestone_id = $2 AND active = true
+       RETURNING id`,
+      [req.admin.id, id],
+    )
+
+    const result = await db.query(`DELETE FROM client_milestones WHERE id = $1 RETURNING *`, [id])
+
+    if (result.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Milestone not found" })
+    }
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: "milestone.delete",
+      entityType: "milestone",
+      entityId: id,
+      before: { ...result.rows[0], revokedLinks: revoked.rows.map((row) => row.id) },
+    })
+
+    res.status(200).json({ success: true, message: "Milestone deleted", revokedLinks: revoked.rows.map((row) => row.id) })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error deleting milestone:", error)
+    res.status(500).json({ success: false, message: "Failed to delete milestone" })
+  } finally {
+    db.release()
+  }
+})
+
+// Generate payment link for client, optionally for a single milestone. The expiry defaults to
+// CLIENT_LINK_EXPIRY_HOURS; pass expiresAt or expiresInHours to choose another. Existing active
+// links for the same milestone are revoked unless replaceExisting is false.
+app.post("/api/admin/client-links", requireAdmin("finance"), async (req, res) => {
+  const { clientId, milestoneId, expiresAt: requestedExpiry, expiresInHours, replaceExisting = true } = req.body
+
+  const expiry = resolveExpiry({ expiresAt: requestedExpiry, hours: expiresInHours }, { defaultHours: CLIENT_LINK_EXPIRY_HOURS })
+
+  if (expiry.error) {
+    return res.status(400).json({ success: false, message: expiry.error })
+  }
+
+  try {
+    const clientResult = await pool.query(`SELECT * FROM clients WHERE id = $1`, [clientId])
+
+    if (clientResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Client not found" })
+    }
+
+    const client = clientResult.rows[0]
+
+    if (client.archived_at) {
+      return res.status(400).json({ success: false, message: "Cannot generate a link for an archived client" })
+    }
+
+    let milestone = null
+    if (milestoneId) {
+      const milestoneResult = await pool.query(`SELECT * FROM client_milestones WHERE id = $1 AND client_id = $2`, [
+        milestoneId,
+        clientId,
+      ])
+
+      if (milestoneResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: "Milestone not found for this client" })
+      }
+
+      milestone = milestoneResult.rows[0]
+
+      if (["paid", "cancelled"].includes(milestone.status)) {
+        return res.status(400).json({ success: false, message: `Milestone is already ${milestone.status}` })
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString("hex")
+    const { expiresAt } = expiry
+
+    const result = await pool.query(
+      `INSERT INTO client_links (client_id, token, expires_at, milestone_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [clientId, token, expiresAt, milestone ? milestone.id : null],
+    )
+
+    // Only links for the same milestone (or the same whole-project payment) are replaced
+    let replaced = { rows: [] }
+    if (replaceExisting !== false && replaceExisting !== "false") {
+      replaced = await pool.query(
+        `UPDATE client_links
+         SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = $2
+         WHERE client_id = $3 AND active = true AND milestone_id IS NOT DISTINCT FROM $4 AND id <> $5
+         RETURNING id, token, expires_at`,
+        [req.admin.id, `Replaced by link #${result.rows[0].id}`, clientId, milestone ? milestone.id : null, result.rows[0].id],
+      )
+    }
+
+    await recordAuditEvent(req, {
+      action: replaced.rows.length > 0 ? "client_link.regenerate" : "client_link.create",
+      entityType: "client_link",
+      entityId: result.rows[0].id,
+      before: replaced.rows.length > 0 ? { deactivatedLinks: replaced.rows } : null,
+      after: result.rows[0],
+    })
+
+    const paymentUrl = clientLinkUrl(token)
+
+    await queueEmail(
+      "client_link.created",
+      client.email,
+      { client, milestone, url: paymentUrl, amount: milestone ? milestone.amount : client.payment_amount, expiresAt },
+      { entityType: "client_link", entityId: result.rows[0].id },
+    )
+
+    res.status(201).json({
+      success: true,
+      link: paymentUrl,
+      linkId: result.rows[0].id,
+      token,
+      expiresAt,
+      client: client,
+      milestone,
+      replacedLinks: replaced.rows.map(({ id }) => id),
+    })
+  } catch (error) {
+    console.error("Error generating link:", error)
+    res.status(500).json({ success: false, message: "Failed to generate link" })
+  }
+})
+
+// CANDIDATE DOCUMENT CHECKLISTS
+
+const DOCUMENT_TYPE_PATTERN = /^[a-z][a-z0-9_]{1,49}$/
+
+app.get("/api/admin/document-checklists", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM document_requirements ORDER BY LOWER(position), sort_order, id`,
+    )
+
+    const checklists = {}
+    result.rows.forEach((row) => {
+      const key = row.position.toLowerCase()
+      if (!checklists[key]) checklists[key] = { position: row.position, documents: [] }
+      checklists[key].documents.push(row)
+    })
+
+    res.status(200).json({
+      success: true,
+      checklists: Object.values(checklists),
+      defaultChecklist: DEFAULT_DOCUMENT_CHECKLIST,
+    })
+  } catch (error) {
+    console.error("Error fetching document checklists:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch document checklists" })
+  }
+})
+
+app.get("/api/admin/document-checklists/:position", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM document_requirements WHERE LOWER(position) = LOWER($1) ORDER BY sort_order, id`,
+      [req.params.position],
+    )
+
+    res.status(200).json({
+      success: true,
+      position: req.params.position,
+      isDefault: result.rows.length === 0,
+      documents: result.rows.length > 0 ? result.rows : DEFAULT_DOCUMENT_CHECKLIST,
+    })
+  } catch (error) {
+    console.error("Error fetching document checklist:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch document checklist" })
+  }
+})
+
+// Replace a position's checklist. Body: { documents: [{ documentType, label, description, required }] },
+// in the order candidates should see them. Uploads already made are kept.
+app.put("/api/admin/document-checklists/:position", requireAdmin("hr"), async (req, res) => {
+  const { position } = req.params
+  const { documents } = req.body
+
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return res.status(400).json({ success: false, message: "documents must be a non-empty array" })
+  }
+
+  const errors = {}
+  const seen = new Set()
+  documents.forEach((document, index) => {
+    if (!document.documentType || !DOCUMENT_TYPE_PATTERN.test(document.documentType)) {
+      errors[`${index}.documentType`] = "Document type must be lowercase letters, digits and underscores"
+    } else if (seen.has(document.documentType)) {
+      errors[`${index}.documentType`] = "Document type is listed twice"
+    }
+    seen.add(document.documentType)
+    if (!document.label || document.label.trim().length < 2) errors[`${index}.label`] = "Label must be at least 2 characters"
+    if (document.required !== undefined && typeof document.required !== "boolean")
+      errors[`${index}.required`] = "Required must be true or false"
+  })
+
+  if (position.trim().length < 2) errors.position = "Position must be at least 2 characters"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const existing = await db.query(
+      `DELETE FROM document_requirements WHERE LOWER(position) = LOWER($1) RETURNING document_type, label, required`,
+      [position],
+    )
+
+    const saved = []
+    for (const [index, document] of documents.entries()) {
+      const result = await db.query(
+        `INSERT INTO document_requirements (position, document_type, label, description, required, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          position.trim(),
+          document.documentType,
+          document.label.trim(),
+          document.description || null,
+          document.required !== false,
+          index,
+        ],
+      )
+      saved.push(result.rows[0])
+    }
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: "document_checklist.update",
+      entityType: "document_checklist",
+      entityId: position.trim().toLowerCase(),
+      before: existing.rows.length > 0 ? { documents: existing.rows } : null,
+      after: { documents: saved.map(({ document_type, label, required }) => ({ document_type, label, required })) },
+    })
+
+    res.status(200).json({ success: true, message: "Checklist saved", position: position.trim(), documents: saved })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error saving document checklist:", error)
+    res.status(500).json({ success: false, message: "Failed to save document checklist" })
+  } finally {
+    db.release()
+  }
+})
+
+// Remove a position's checklist, putting it back on the default
+app.delete("/api/admin/document-checklists/:position", requireAdmin("hr"), async (req, res) => {
+  const { position } = req.params
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM document_requirements WHERE LOWER(position) = LOWER($1) RETURNING document_type, label, required`,
+      [position],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "No checklist defined for this position" })
+    }
+
+    await recordAuditEvent(req, {
+      action: "document_checklist.delete",
+      entityType: "document_checklist",
+      entityId: position.trim().toLowerCase(),
+      before: { documents: result.rows },
+    })
+
+    res.status(200).json({ success: true, message: "Checklist removed" })
+  } catch (error) {
+    console.error("Error deleting document checklist:", error)
+    res.status(500).json({ success: false, message: "Failed to delete document checklist" })
+  }
+})
+
+// JOB OPENING ROUTES
+
+const POSITION_STATUSES = ["open", "closed"]
+// Resumes sent with an application are kept as a candidate upload of this document type
+const RESUME_DOCUMENT_TYPE = "resume"
+// Applications per IP address in the window before further ones are refused
+const APPLICATION_RATE_LIMIT_PER_IP = Number(process.env.APPLICATION_RATE_LIMIT_PER_IP) || 5
+const APPLICATION_RATE_WINDOW_MINUTES = Number(process.env.APPLICATION_RATE_WINDOW_MINUTES) || 60
+
+// Create checks every field; update (partial) only checks the fields that were sent
+const validatePosition = (data, { partial = false } = {}) => {
+  const errors = {}
+  const has = (field) => !partial || data[field] !== undefined
+
+  if (has("title") && !(typeof data.title === "string" && data.title.trim().length >= 2 && data.title.trim().length <= 100))
+    errors.title = "Title must be between 2 and 100 characters"
+  if (data.description !== undefined && data.description !== null && typeof data.description !== "string")
+    errors.description = "Description must be text"
+  if (
+    data.location !== undefined &&
+    data.location !== null &&
+    !(typeof data.location === "string" && data.location.trim().length <= 100)
+  )
+    errors.location = "Location must be at most 100 characters"
+  if (data.status !== undefined && !POSITION_STATUSES.includes(data.status))
+    errors.status = `Status must be one of: ${POSITION_STATUSES.join(", ")}`
+
+  return errors
+}
+
+// Openings with how many candidates are linked to each (?status= to filter)
+app.get("/api/admin/positions", requireAdmin("hr"), async (req, res) => {
+  const { status } = req.query
+
+  if (status && !POSITION_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: "Invalid status filter" })
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT p.*,
+              (SELECT COUNT(*) FROM candidates c WHERE c.position_id = p.id)::INTEGER AS candidate_count,
+              (SELECT COUNT(*) FROM candidates c WHERE c.position_id = p.id AND c.source = 'application')::INTEGER
+                AS application_count
+       FROM positions p
+       WHERE ($1::VARCHAR IS NULL OR p.status = $1)
+       ORDER BY p.status = 'open' DESC, p.created_at DESC`,
+      [status || null],
+    )
+
+    res.status(200).json({ success: true, positions: result.rows })
+  } catch (error) {
+    console.error("Error fetching positions:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch positions" })
+  }
+})
+
+app.post("/api/admin/positions", requireAdmin("hr"), async (req, res) => {
+  const errors = validatePosition(req.body)
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const { title, description, location, status = "open" } = req.body
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO positions (title, description, location, status, created_by, closed_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        title.trim(),
+        description ? description.trim() : null,
+        location ? location.trim() : null,
+        status,
+        req.admin.id,
+        status === "closed" ? new Date() : null,
+      ],
+    )
+
+    await recordAuditEvent(req, {
+      action: "position.create",
+      entityType: "position",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({ success: true, message: "Position created", position: result.rows[0] })
+  } catch (error) {
+    console.error("Error creating position:", error)
+    res.status(500).json({ success: false, message: "Failed to create position" })
+  }
+})
+
+app.get("/api/admin/positions/:id", requireAdmin("hr"), async (req, res) => {
+  if (!isPositiveInteger(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Position not found" })
+  }
+
+  try {
+    const result = await pool.query(`SELECT * FROM positions WHERE id = $1`, [req.params.id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Position not found" })
+    }
+
+    const candidates = await pool.query(
+      `SELECT id, candidate_id, name, email, status, stage, source, created_at
+       FROM candidates WHERE position_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id],
+    )
+
+    res.status(200).json({ success: true, position: result.rows[0], candidates: candidates.rows })
+  } catch (error) {
+    console.error("Error fetching position:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch position" })
+  }
+})
+
+// Update an opening - only the fields sent are changed. Closing it takes it off the public list
+// and stops new applications; candidates already linked are kept.
+app.put("/api/admin/positions/:id", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+
+  if (!isPositiveInteger(id)) {
+    return res.status(404).json({ success: false, message: "Position not found" })
+  }
+
+  const errors = validatePosition(req.body, { partial: true })
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const columns = { title: "title", description: "description", location: "location", status: "status" }
+  const updates = []
+  const params = []
+
+  Object.entries(columns).forEach(([field, column]) => {
+    if (req.body[field] !== undefined) {
+      const value = req.body[field]
+      params.push(typeof value === "string" ? value.trim() || null : value)
+      updates.push(`${column} = $${params.length}`)
+    }
+  })
+
+  if (updates.length === 0) {
+    return res.status(400).json({ success: false, message: "No fields to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM positions WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Position not found" })
+    }
+
+    if (req.body.status !== undefined && req.body.status !== existing.rows[0].status) {
+      updates.push(req.body.status === "closed" ? "closed_at = NOW()" : "closed_at = NULL")
+    }
+
+    params.push(id)
+    const result = await pool.query(
+      `UPDATE positions SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${params.length} RETURNING *`,
+      params,
+    )
+
+    const before = {}
+    const after = {}
+    Object.values(columns).forEach((column) => {
+      if (String(existing.rows[0][column]) !== String(result.rows[0][column])) {
+        before[column] = existing.rows[0][column]
+        after[column] = result.rows[0][column]
+      }
+    })
+
+    await recordAuditEvent(req, {
+      action: "position.update",
+      entityType: "position",
+      entityId: id,
+      before,
+      after,
+    })
+
+    res.status(200).json({ success: true, message: "Position updated", position: result.rows[0] })
+  } catch (error) {
+    console.error("Error updating position:", error)
+    res.status(500).json({ success: false, message: "Failed to update position" })
+  }
+})
+
+// Delete an opening nobody is linked to. Ones with candidates can only be closed.
+app.delete("/api/admin/positions/:id", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+
+  if (!isPositiveInteger(id)) {
+    return res.status(404).json({ success: false, message: "Position not found" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM positions WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Position not found" })
+    }
+
+    const linked = await pool.query(`SELECT COUNT(*)::INTEGER AS count FROM candidates WHERE position_id = $1`, [id])
+
+    if (linked.rows[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This position has ${linked.rows[0].count} candidate(s); close it instead of deleting it`,
+      })
+    }
+
+    await pool.query(`DELETE FROM positions WHERE id = $1`, [id])
+
+    await recordAuditEvent(req, {
+      action: "position.delete",
+      entityType: "position",
+      entityId: id,
+      before: existing.rows[0],
+    })
+
+    res.status(200).json({ success: true, message: "Position deleted" })
+  } catch (error) {
+    console.error("Error deleting position:", error)
+    res.status(500).json({ success: false, message: "Failed to delete position" })
+  }
+})
+
+// Open positions for the careers page
+app.get("/api/positions", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, title, description, location, created_at FROM positions
+       WHERE status = 'open'
+       ORDER BY created_at DESC`,
+    )
+
+    res.status(200).json({ success: true, positions: result.rows })
+  } catch (error) {
+    console.error("Error fetching open positions:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch positions" })
+  }
+})
+
+app.get("/api/positions/:id", async (req, res) => {
+  if (!isPositiveInteger(req.params.id)) {
+    return res.status(404).json({ success: false, message: "Position not found or no longer open" })
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, title, description, location, created_at FROM positions WHERE id = $1 AND status = 'open'`,
+      [req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Position not found or no longer open" })
+    }
+
+    res.status(200).json({ success: true, position: result.rows[0] })
+  } catch (error) {
+    console.error("Error fetching position:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch position" })
+  }
+})
+
+// Apply for an open position. Multipart form with name, email, phone and the resume PDF in the
+// "resume" field. Creates the candidate (at the first pipeline stage, linked to the position) with
+// the resume as their first upload, scanned like any other. "website" is a hidden honeypot field.
+app.post("/api/positions/:id/apply", acceptUpload(upload.single("resume")), async (req, res) => {
+  const { name, email, phone, website } = req.body || {}
+
+  try {
+    const errors = {}
+    if (!name || name.trim().length < 3) errors.name = "Name must be at least 3 characters"
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Valid email is required"
+    if (!phone || !/^[6-9]\d{9}$/.test(phone)) errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
+    if (!req.file) errors.resume = "Please attach your resume as a PDF"
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, errors })
+    }
+
+    const positionResult = isPositiveInteger(req.params.id)
+      ? await pool.query(`SELECT * FROM positions WHERE id = $1 AND status = 'open'`, [req.params.id])
+      : { rows: [] }
+
+    if (positionResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Position not found or no longer open" })
+    }
+
+    const position = positionResult.rows[0]
+
+    // Bots filling the hidden field get the normal response without anything being stored
+    if (website) {
+      return res.status(201).json({ success: true, message: "Application submitted" })
+    }
+
+    const recent = await pool.query(
+      `SELECT COUNT(*)::INTEGER AS count FROM candidates
+       WHERE application_ip = $1 AND created_at > NOW() - ($2 || ' minutes')::INTERVAL`,
+      [req.ip, String(APPLICATION_RATE_WINDOW_MINUTES)],
+    )
+
+    if (recent.rows[0].count >= APPLICATION_RATE_LIMIT_PER_IP) {
+      return res.status(429).json({ success: false, message: "Too many applications. Please try again later." })
+    }
+
+    const existing = await pool.query(
+      `SELECT id FROM candidates WHERE LOWER(email) = LOWER($1) AND position_id = $2`,
+      [email.trim(), position.id],
+    )
+
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ success: false, message: "You have already applied for this position" })
+    }
+
+    const inspection = await inspectFile(req.file.path, ["application/pdf"])
+
+    if (inspection.error) {
+      return res.status(400).json({ success: false, message: "The resume is not a valid PDF" })
+    }
+
+    const fileStore = getStorage()
+    const storageKey = QUARANTINE_PREFIX + path.basename(req.file.path)
+    const db = await pool.connect()
+    let candidate
+    let uploadResult
+    let fileStored = false
+
+    try {
+      await db.query("BEGIN")
+
+      const [initialStage] = await getPipelineStages(db)
+      const candidateResult = await db.query(
+        `INSERT INTO candidates (name, email, phone, position, candidate_id, stage, position_id, source, application_ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'application', $8)
+         RETURNING *`,
+        [name.trim(), email.trim(), phone, position.title, generateCandidateId(), initialStage.key, position.id, req.ip],
+      )
+      candidate = candidateResult.rows[0]
+
+      await recordStageChange(db, {
+        candidateId: candidate.id,
+        fromStage: null,
+        toStage: initialStage.key,
+        reason: "Applied through the careers page",
+      })
+
+      await fileStore.put(storageKey, req.file.path, { contentType: inspection.mimeType })
+      fileStored = true
+
+      uploadResult = await db.query(
+        `INSERT INTO candidate_uploads
+           (candidate_id, document_type, file_name, storage_key, file_size, mime_type, sha256)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          candidate.id,
+          RESUME_DOCUMENT_TYPE,
+          req.file.originalname,
+          storageKey,
+          req.file.size,
+          inspection.mimeType,
+          inspection.sha256,
+        ],
+      )
+
+      await db.query("COMMIT")
+    } catch (error) {
+      await db.query("ROLLBACK")
+      if (fileStored) await fileStore.remove(storageKey).catch(() => {})
+      throw error
+    } finally {
+      db.release()
+    }
+
+    const scanned = await scanCandidateUpload(uploadResult.rows[0])
+
+    // An infected resume is not an application; the scan has already deleted the file
+    if (scanned.scan_status === "infected") {
+      await pool.query(`DELETE FROM candidates WHERE id = $1`, [candidate.id])
+      await recordAuditEvent(req, {
+        action: "candidate.application_infected",
+        entityType: "position",
+        entityId: position.id,
+        after: { email: candidate.email, signature: scanned.scan_result },
+      })
+
+      return res.status(422).json({
+        success: false,
+        message: "The resume failed our malware scan and was not accepted. Please upload a clean copy.",
+      })
+    }
+
+    await recordAuditEvent(req, {
+      action: "candidate.apply",
+      entityType: "candidate",
+      entityId: candidate.id,
+      after: candidate,
+    })
+
+    await queueEmail(
+      "candidate.application_received",
+      candidate.email,
+      { candidate, position },
+      { entityType: "candidate", entityId: candidate.id },
+    )
+    await queueAdminEmail(
+      "hr",
+      "candidate.applied",
+      { candidate, position },
+      { entityType: "candidate", entityId: candidate.id },
+    )
+
+    res.status(201).json({
+      success: true,
+      message: "Application submitted",
+      candidateId: candidate.candidate_id,
+    })
+  } catch (error) {
+    console.error("Error submitting application:", error)
+    if (error.code === "23505") {
+      // A second application for the same position that got past the check above
+      res.status(400).json({ success: false, message: "You have already applied for this position" })
+    } else {
+      res.status(500).json({ success: false, message: "Failed to submit application" })
+    }
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {})
+  }
+})
+
+// CANDIDATE MANAGEMENT ROUTES
+// Create new candidate. Pass positionId to link them to a job opening; the position text then
+// defaults to the opening's title.
+app.post("/api/admin/candidates", requireAdmin("hr"), async (req, res) => {
+  const { name, email, phone, positionId } = req.body
+  let { position } = req.body
+
+  // Validation
+  const errors = {}
+  if (!name || name.trim().length < 3) errors.name = "Name must be at least 3 characters"
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.email = "Valid email is required"
+  if (!phone || !/^[6-9]\d{9}$/.test(phone)) errors.phone = "Valid 10-digit phone number starting with 6-9 is required"
+  if (!positionId && (!position || position.trim().length < 2)) errors.position = "Position must be at least 2 characters"
+  if (positionId && !isPositiveInteger(positionId)) errors.positionId = "Position must be a valid id"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    if (positionId) {
+      const positionResult = await pool.query(`SELECT * FROM positions WHERE id = $1`, [positionId])
+
+      if (positionResult.rows.length === 0) {
+        return res.status(400).json({ success: false, errors: { positionId: "Position not found" } })
+      }
+
+      position = position || positionResult.rows[0].title
+    }
+
+    const candidateId = generateCandidateId()
+    const [initialStage] = await getPipelineStages()
+
+    const result = await pool.query(
+      `INSERT INTO candidates (name, email, phone, position, candidate_id, stage, position_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [name, email, phone, position, candidateId, initialStage.key, positionId || null],
+    )
+
+    await recordStageChange(pool, { candidateId: result.rows[0].id, fromStage: null, toStage: initialStage.key, adminId: req.admin.id })
+
+    await recordAuditEvent(req, {
+      action: "candidate.create",
+      entityType: "candidate",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({
+      success: true,
+      candidate: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Error creating candidate:", error)
+    if (error.code === "23505" && error.constraint === "idx_candidates_position_email") {
+      res.status(400).json({ success: false, message: "This candidate has already applied for this position" })
+    } else if (error.code === "23505") {
+      // Unique violation
+      res.status(400).json({ success: false, message: "Email already exists" })
+    } else {
+      res.status(500).json({ success: false, message: "Failed to create candidate" })
+    }
+  }
+})
+
+// Get all candidates, optionally only those at one pipeline stage (?stage=) or for one job
+// opening (?positionId=)
+app.get("/api/admin/candidates", requireAdmin("hr"), async (req, res) => {
+  const { stage, positionId } = req.query
+
+  if (positionId && !isPositiveInteger(positionId)) {
+    return res.status(400).json({ success: false, message: "Invalid position filter" })
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT c.*,
+             cl.token AS active_token,
+             cl.expires_at AS token_expiry,
+             cl.active AS token_active,
+             cl.upload_completed,
+             cu.file_name,
+             cu.file_size,
+             cu.upload_date,
+             (SELECT COUNT(*) FROM candidate_uploads u
+              WHERE u.candidate_id = c.id AND u.superseded_at IS NULL AND u.status <> 'rejected')::INTEGER AS documents_uploaded,
+             (SELECT COUNT(*) FROM candidate_uploads u
+              WHERE u.candidate_id = c.id AND u.superseded_at IS NULL AND u.status = 'rejected')::INTEGER AS documents_rejected
+      FROM candidates c
+      LEFT JOIN candidate_links cl ON c.id = cl.candidate_id 
+        AND cl.expires_at > NOW() 
+        AND cl.active = true
+      LEFT JOIN LATERAL (
+        SELECT * FROM candidate_uploads u
+        WHERE u.candidate_id = c.id AND u.superseded_at IS NULL
+        ORDER BY u.upload_date DESC, u.id DESC LIMIT 1
+      ) cu ON true
+      WHERE ($1::VARCHAR IS NULL OR c.stage = $1)
+        AND ($2::INTEGER IS NULL OR c.position_id = $2)
+      ORDER BY c.created_at DESC
+    `, [stage || null, positionId || null])
+
+    res.status(200).json({ success: true, candidates: result.rows })
+  } catch (error) {
+    console.error("Error fetching candidates:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch candidates" })
+  }
+})
+
+app.get("/api/admin/candidates/:id", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [req.params.id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const documents = await getDocumentProgress(result.rows[0])
+
+    res.status(200).json({ success: true, candidate: result.rows[0], documents })
+  } catch (error) {
+    console.error("Error fetching candidate:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch candidate" })
+  }
+})
+
+// Create a new onboarding link for a candidate, revoking their other active links unless
+// replaceExisting is false
+const issueCandidateLink = async (req, candidate, { expiresAt, replaceExisting = true }) => {
+  const token = crypto.randomBytes(32).toString("hex")
+
+  const result = await pool.query(
+    `INSERT INTO candidate_links (candidate_id, token, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [candidate.id, token, expiresAt],
+  )
+
+  let deactivated = { rows: [] }
+  if (replaceExisting) {
+    deactivated = await pool.query(
+      `UPDATE candidate_links
+       SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = $2
+       WHERE candidate_id = $3 AND active = true AND id <> $4
+       RETURNING id, token, expires_at`,
+      [req.admin.id, `Replaced by link #${result.rows[0].id}`, candidate.id, result.rows[0].id],
+    )
+  }
+
+  // A fresh link gives candidates flagged by the expiry job another chance
+  await pool.query(`UPDATE candidates SET status = 'pending' WHERE id = $1 AND status = 'link_expired'`, [candidate.id])
+
+  await recordAuditEvent(req, {
+    action: deactivated.rows.length > 0 ? "candidate_link.regenerate" : "candidate_link.create",
+    entityType: "candidate_link",
+    entityId: result.rows[0].id,
+    before: deactivated.rows.length > 0 ? { deactivatedLinks: deactivated.rows } : null,
+    after: result.rows[0],
+  })
+
+  return { link: result.rows[0], replacedLinks: deactivated.rows.map(({ id }) => id) }
+}
+
+// Generate onboarding link for candidate (link expires, not PDF). The expiry defaults to
+// CANDIDATE_LINK_EXPIRY_HOURS; pass expiresAt or expiresInHours to choose another. Existing active
+// links are revoked unless replaceExisting is false.
+app.post("/api/admin/candidate-links", requireAdmin("hr"), async (req, res) => {
+  const { candidateId, expiresAt: requestedExpiry, expiresInHours, replaceExisting = true } = req.body
+
+  const expiry = resolveExpiry(
+    { expiresAt: requestedExpiry, hours: expiresInHours },
+    { defaultHours: CANDIDATE_LINK_EXPIRY_HOURS },
+  )
+
+  if (expiry.error) {
+    return res.status(400).json({ success: false, message: expiry.error })
+  }
+
+  try {
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [candidateId])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const candidate = candidateResult.rows[0]
+    const { link, replacedLinks } = await issueCandidateLink(req, candidate, {
+      expiresAt: expiry.expiresAt,
+      replaceExisting: replaceExisting !== false && replaceExisting !== "false",
+    })
+
+    const onboardingUrl = candidateLinkUrl(link.token)
+
+    await queueEmail(
+      "candidate_link.created",
+      candidate.email,
+      { candidate, url: onboardingUrl, expiresAt: link.expires_at },
+      { entityType: "candidate_link", entityId: link.id },
+    )
+
+    res.status(201).json({
+      success: true,
+      link: onboardingUrl,
+      linkId: link.id,
+      token: link.token,
+      expiresAt: link.expires_at,
+      candidate: candidate,
+      replacedLinks,
+    })
+  } catch (error) {
+    console.error("Error generating onboarding link:", error)
+    res.status(500).json({ success: false, message: "Failed to generate onboarding link" })
+  }
+})
+
+// Activate/Deactivate candidate onboarding link
+app.put("/api/admin/candidate-links/:candidateId/toggle", requireAdmin("hr"), async (req, res) => {
+  const { candidateId } = req.params
+  const { active } = req.body
+
+  try {
+    const existing = await pool.query(
+      `SELECT id, active FROM candidate_links WHERE candidate_id = $1 AND expires_at > NOW() AND revoked_at IS NULL`,
+      [candidateId],
+    )
+
+    const result = await pool.query(
+      `UPDATE candidate_links 
+       SET active = $1 
+       WHERE candidate_id = $2 AND expires_at > NOW() AND revoked_at IS NULL
+       RETURNING *`,
+      [active, candidateId],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No active link found for this candidate",
+      })
+    }
+
+    await recordAuditEvent(req, {
+      action: `candidate_link.${active ? "activate" : "deactivate"}`,
+      entityType: "candidate",
+      entityId: candidateId,
+      before: { links: existing.rows },
+      after: { links: result.rows.map(({ id }) => ({ id, active: Boolean(active) })) },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Link ${active ? "activated" : "deactivated"}`,
+      link: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Error toggling candidate link:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to toggle link status",
+    })
+  }
+})
+
+// Get candidate details by token (check if link is valid, not PDF)
+app.get("/api/candidate-details/:token", async (req, res) => {
+  const { token } = req.params
+
+  try {
+    const linkResult = await pool.query(
+      `SELECT * FROM candidate_links 
+       WHERE token = $1 
+         AND active = true 
+         AND expires_at > NOW()`,
+      [token],
+    )
+
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Link not found, expired, or inactive",
+      })
+    }
+
+    const link = linkResult.rows[0]
+    await recordLinkOpen("candidate", link.id)
+
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [link.candidate_id])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Candidate not found",
+      })
+    }
+
+    const candidate = candidateResult.rows[0]
+
+    // Uploaded documents persist even if the link expires
+    const documents = await getDocumentProgress(candidate)
+    const firstUpload = documents.items.find((item) => item.upload)
+
+    res.status(200).json({
+      success: true,
+      candidate: {
+        ...candidate,
+        hasUploaded: documents.complete,
+        uploadDetails: firstUpload ? firstUpload.upload : null,
+      },
+      documents,
+      linkId: link.id,
+    })
+  } catch (error) {
+    console.error("Error fetching candidate details:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch candidate details",
+    })
+  }
+})
+
+// Upload one checklist document as a PDF (stored permanently, only the link expires). The
+// "documentType" field says which checklist item the file is for; it can be left out while the
+// position uses the default single-certificate checklist. The file field is still "certificate".
+// A document can only be uploaded again after HR rejects it; the new file becomes the next
+// version and the rejected one is kept.
+app.post("/api/candidate/upload/:token", upload.single("certificate"), async (req, res) => {
+  const { token } = req.params
+
+  try {
+    // Verify token (only link expires, not the ability to access uploaded PDFs)
+    const linkResult = await pool.query(
+      `SELECT cl.id AS link_id, c.* FROM candidate_links cl
+       JOIN candidates c ON cl.candidate_id = c.id
+       WHERE cl.token = $1 
+         AND cl.active = true 
+         AND cl.expires_at > NOW()`,
+      [token],
+    )
+
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Invalid or expired link",
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      })
+    }
+
+    const { link_id: linkId, ...candidate } = linkResult.rows[0]
+    const checklist = await getDocumentChecklist(candidate.position)
+
+    const documentType = req.body.documentType || (checklist.length === 1 ? checklist[0].document_type : null)
+    const requirement = checklist.find((item) => item.document_type === documentType)
+
+    if (!requirement) {
+      return res.status(400).json({
+        success: false,
+        message: `documentType must be one of: ${checklist.map((item) => item.document_type).join(", ")}`,
+      })
+    }
+
+    const inspection = await inspectFile(req.file.path, ["application/pdf"])
+
+    if (inspection.error) {
+      return res.status(400).json({
+        success: false,
+        message: "The file is not a valid PDF",
+      })
+    }
+
+    const fileStore = getStorage()
+    const storageKey = QUARANTINE_PREFIX + path.basename(req.file.path)
+    const db = await pool.connect()
+    let uploadResult
+    let fileStored = false
+
+    try {
+      await db.query("BEGIN")
+
+      const currentUpload = await db.query(
+        `SELECT * FROM candidate_uploads
+         WHERE candidate_id = $1 AND document_type = $2 AND superseded_at IS NULL
+         FOR UPDATE`,
+        [candidate.id, documentType],
+      )
+      const current = currentUpload.rows[0]
+
+      if (current && current.status !== "rejected") {
+        await db.query("ROLLBACK")
+        return res.status(400).json({
+          success: false,
+          message: `${requirement.label} already uploaded for this candidate`,
+        })
+      }
+
+      if (current && current.sha256 === inspection.sha256) {
+        await db.query("ROLLBACK")
+        return res.status(400).json({
+          success: false,
+          message: `This is the same file that was rejected. Please upload a corrected ${requirement.label}.`,
+        })
+      }
+
+      if (current) {
+        await db.query(`UPDATE candidate_uploads SET superseded_at = NOW() WHERE id = $1`, [current.id])
+      }
+
+      // The same file turning up for another candidate is flagged for HR, not refused
+      const duplicate = await db.query(
+        `SELECT id FROM candidate_uploads WHERE sha256 = $1 AND candidate_id <> $2 ORDER BY id LIMIT 1`,
+        [inspection.sha256, candidate.id],
+      )
+
+      // Save the file and its details (PDF stored permanently)
+      await fileStore.put(storageKey, req.file.path, { contentType: inspection.mimeType })
+      fileStored = true
+
+      uploadResult = await db.query(
+        `INSERT INTO candidate_uploads
+           (candidate_id, document_type, version, file_name, storage_key, file_size, mime_type, sha256, duplicate_of)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          candidate.id,
+          documentType,
+          current ? current.version + 1 : 1,
+          req.file.originalname,
+          storageKey,
+          req.file.size,
+          inspection.mimeType,
+          inspection.sha256,
+          duplicate.rows.length > 0 ? duplicate.rows[0].id : null,
+        ],
+      )
+
+      await db.query("COMMIT")
+    } catch (error) {
+      await db.query("ROLLBACK")
+      if (fileStored) await fileStore.remove(storageKey).catch(() => {})
+      throw error
+    } finally {
+      db.release()
+    }
+
+    const scanned = await scanCandidateUpload(uploadResult.rows[0])
+
+    if (scanned.scan_status === "infected") {
+      await recordAuditEvent(req, {
+        action: "candidate_upload.infected",
+        entityType: "candidate_upload",
+        entityId: scanned.id,
+        after: { scanStatus: scanned.scan_status, signature: scanned.scan_result },
+      })
+
+      return res.status(422).json({
+        success: false,
+        message: "The file failed our malware scan and was not accepted. Please upload a clean copy.",
+      })
+    }
+
+    if (scanned.duplicate_of) {
+      await recordAuditEvent(req, {
+        action: "candidate_upload.duplicate",
+        entityType: "candidate_upload",
+        entityId: scanned.id,
+        after: { duplicateOf: scanned.duplicate_of, sha256: scanned.sha256 },
+      })
+    }
+
+    const documents = await getDocumentProgress(candidate)
+
+    if (documents.complete) {
+      await markChecklistComplete(candidate, documents, { linkId })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: documents.complete
+        ? "All required documents uploaded. The files will be stored permanently."
+        : `${requirement.label} uploaded successfully. The file will be stored permanently.`,
+      upload: scanned,
+      documents,
+    })
+  } catch (error) {
+    console.error("Error uploading file:", error)
+    if (error.code === "23505") {
+      // Two uploads for the same document raced each other
+      return res.status(400).json({ success: false, message: "Document already uploaded for this candidate" })
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload certificate",
+      error: error.message,
+    })
+  } finally {
+    // The staged file is only needed until it is in the store
+    if (req.file) fs.unlink(req.file.path, () => {})
+  }
+})
+
+// Stream an upload row (joined with candidate_name) back from the store as a PDF attachment.
+// Every download is logged against the admin behind it; method is "admin" for an authenticated
+// download and "signed_url" for one through a generated URL.
+const sendCandidateUpload = async (req, res, upload, { adminId, method }) => {
+  if (!isScanPassed(upload)) {
+    return res.status(409).json({
+      success: false,
+      message:
+        upload.scan_status === "infected"
+          ? "This file failed the malware scan and was deleted"
+          : "This file is quarantined until it passes the malware scan",
+    })
+  }
+
+  const fileStream = await getStorage().get(upload.storage_key)
+
+  if (!fileStream) {
+    return res.status(404).json({
+      success: false,
+      message: "File not found on server",
+    })
+  }
+
+  await pool.query(
+    `INSERT INTO file_downloads (upload_id, admin_id, method, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [upload.id, adminId, method, req.ip, req.get("User-Agent") || null],
+  )
+
+  const versionSuffix = upload.version > 1 ? `-v${upload.version}` : ""
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${upload.candidate_name}-${upload.document_type}${versionSuffix}.pdf"`,
+  )
+
+  await streamFile(fileStream, res)
+}
+
+// Download a candidate PDF (admin only - PDFs never expire). Pass ?documentType= to pick the
+// document; without it the earliest one is sent, the resume only when there is nothing else.
+// Always the current version; older versions are downloaded by id below.
+app.get("/api/admin/candidate-download/:candidateId", requireAdmin("hr"), async (req, res) => {
+  const { candidateId } = req.params
+  const { documentType } = req.query
+
+  try {
+    const uploadResult = await pool.query(
+      `SELECT cu.*, c.name as candidate_name 
+       FROM candidate_uploads cu
+       JOIN candidates c ON cu.candidate_id = c.id
+       WHERE cu.candidate_id = $1
+         AND cu.superseded_at IS NULL
+         AND ($2::VARCHAR IS NULL OR cu.document_type = $2)
+       ORDER BY cu.document_type = $3, cu.upload_date, cu.id
+       LIMIT 1`,
+      [candidateId, documentType || null, RESUME_DOCUMENT_TYPE],
+    )
+
+    if (uploadResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No uploaded file found for this candidate",
+      })
+    }
+
+    await sendCandidateUpload(req, res, uploadResult.rows[0], { adminId: req.admin.id, method: "admin" })
+  } catch (error) {
+    console.error("Error downloading file:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to download file",
+    })
+  }
+})
+
+// CANDIDATE DOCUMENT REVIEW ROUTES
+
+// Every version of every document the candidate has uploaded, grouped by checklist item with the
+// newest version first
+app.get("/api/admin/candidates/:id/uploads", requireAdmin("hr"), async (req, res) => {
+  try {
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [req.params.id])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const checklist = await getDocumentChecklist(candidateResult.rows[0].position)
+    const result = await pool.query(
+      `SELECT cu.*, au.name AS reviewed_by_name
+       FROM candidate_uploads cu
+       LEFT JOIN admin_users au ON au.id = cu.reviewed_by
+       WHERE cu.candidate_id = $1
+       ORDER BY cu.document_type, cu.version DESC`,
+      [req.params.id],
+    )
+
+    const documents = {}
+    result.rows.forEach((row) => {
+      if (!documents[row.document_type]) {
+        const requirement = checklist.find((item) => item.document_type === row.document_type)
+        documents[row.document_type] = {
+          documentType: row.document_type,
+          label: requirement ? requirement.label : row.document_type === RESUME_DOCUMENT_TYPE ? "Resume" : row.document_type,
+          versions: [],
+        }
+      }
+      documents[row.document_type].versions.push(row)
+    })
+
+    res.status(200).json({ success: true, documents: Object.values(documents) })
+  } catch (error) {
+    console.error("Error fetching candidate uploads:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch candidate uploads" })
+  }
+})
+
+// Download one specific version of a document
+app.get("/api/admin/candidate-uploads/:id/download", requireAdmin("hr"), async (req, res) => {
+  try {
+    const uploadResult = await pool.query(
+      `SELECT cu.*, c.name AS candidate_name
+       FROM candidate_uploads cu
+       JOIN candidates c ON cu.candidate_id = c.id
+       WHERE cu.id = $1`,
+      [req.params.id],
+    )
+
+    if (uploadResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Upload not found" })
+    }
+
+    await sendCandidateUpload(req, res, uploadResult.rows[0], { adminId: req.admin.id, method: "admin" })
+  } catch (error) {
+    console.error("Error downloading upload:", error)
+    res.status(500).json({ success: false, message: "Failed to download file" })
+  }
+})
+
+// Generate a URL that downloads one version of a document without logging in, until it expires
+// (expiresInMinutes, 15 by default)
+app.post("/api/admin/candidate-uploads/:id/signed-url", requireAdmin("hr"), async (req, res) => {
+  // The body is optional here
+  const { expiresInMinutes } = req.body || {}
+
+  try {
+    const uploadResult = await pool.query(`SELECT * FROM candidate_uploads WHERE id = $1`, [req.params.id])
+
+    if (uploadResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Upload not found" })
+    }
+
+    const upload = uploadResult.rows[0]
+
+    if (!isScanPassed(upload)) {
+      return res.status(409).json({ success: false, message: "This file has not passed the malware scan" })
+    }
+
+    const signed = createSignedDownloadPath(upload.id, req.admin.id, expiresInMinutes || undefined)
+
+    if (signed.error) {
+      return res.status(400).json({ success: false, message: signed.error })
+    }
+
+    const apiBaseUrl = (process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "")
+
+    await recordAuditEvent(req, {
+      action: "candidate_upload.signed_url",
+      entityType: "candidate_upload",
+      entityId: upload.id,
+      after: { expiresAt: signed.expiresAt },
+    })
+
+    res.status(201).json({ success: true, url: apiBaseUrl + signed.path, expiresAt: signed.expiresAt })
+  } catch (error) {
+    console.error("Error creating download URL:", error)
+    res.status(500).json({ success: false, message: "Failed to create download URL" })
+  }
+})
+
+// Download through a signed URL. No session is needed; the signature and expiry are the access
+// check, along with the admin who signed it still being active and allowed to see candidate files.
+app.get("/api/files/candidate-uploads/:id", async (req, res) => {
+  const verified = verifySignedDownload(req.params.id, req.query)
+
+  if (verified.error) {
+    return res.status(403).json({ success: false, message: verified.error })
+  }
+
+  try {
+    const adminResult = await pool.query(
+      `SELECT id FROM admin_users WHERE id = $1 AND active = true AND role IN ('superadmin', 'hr')`,
+      [verified.adminId],
+    )
+
+    if (adminResult.rows.length === 0) {
+      return res.status(403).json({ success: false, message: "This download link is no longer valid" })
+    }
+
+    const uploadResult = await pool.query(
+      `SELECT cu.*, c.name AS candidate_name
+       FROM candidate_uploads cu
+       JOIN candidates c ON cu.candidate_id = c.id
+       WHERE cu.id = $1`,
+      [req.params.id],
+    )
+
+    if (uploadResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Upload not found" })
+    }
+
+    await sendCandidateUpload(req, res, uploadResult.rows[0], { adminId: verified.adminId, method: "signed_url" })
+  } catch (error) {
+    console.error("Error downloading upload:", error)
+    res.status(500).json({ success: false, message: "Failed to download file" })
+  }
+})
+
+// Who downloaded the candidate's documents, and when (newest first)
+app.get("/api/admin/candidates/:id/downloads", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT fd.*, cu.document_type, cu.version, cu.file_name, au.name AS admin_name, au.email AS admin_email
+       FROM file_downloads fd
+       JOIN candidate_uploads cu ON cu.id = fd.upload_id
+       LEFT JOIN admin_users au ON au.id = fd.admin_id
+       WHERE cu.candidate_id = $1
+       ORDER BY fd.downloaded_at DESC, fd.id DESC`,
+      [req.params.id],
+    )
+
+    res.status(200).json({ success: true, downloads: result.rows })
+  } catch (error) {
+    console.error("Error fetching downloads:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch downloads" })
+  }
+})
+
+// Accept or reject the current version of a document. Rejecting needs a reason, which is emailed
+// to the candidate along with a link to upload a corrected copy: their latest link is reopened if
+// it is still live, otherwise a new one is issued.
+app.put("/api/admin/candidate-uploads/:id/review", requireAdmin("hr"), async (req, res) => {
+  const { decision } = req.body
+  const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : ""
+
+  if (!["accepted", "rejected"].includes(decision)) {
+    return res.status(400).json({ success: false, message: "decision must be 'accepted' or 'rejected'" })
+  }
+
+  if (decision === "rejected" && reason.length < 3) {
+    return res.status(400).json({ success: false, message: "A reason of at least 3 characters is required to reject a document" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM candidate_uploads WHERE id = $1`, [req.params.id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Upload not found" })
+    }
+
+    const before = existing.rows[0]
+
+    if (before.superseded_at) {
+      return res.status(409).json({ success: false, message: "Only the latest version of a document can be reviewed" })
+    }
+
+    if (decision === "accepted" && !isScanPassed(before)) {
+      return res.status(409).json({ success: false, message: "Only files that passed the malware scan can be accepted" })
+    }
+
+    // The candidate cannot send a new resume through their onboarding link, so there is nothing to ask for
+    if (decision === "rejected" && before.document_type === RESUME_DOCUMENT_TYPE) {
+      return res.status(409).json({ success: false, message: "Resumes from applications cannot be rejected" })
+    }
+
+    const result = await pool.query(
+      `UPDATE candidate_uploads
+       SET status = $1, review_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $4 AND superseded_at IS NULL
+       RETURNING *`,
+      [decision, reason || null, req.admin.id, before.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, message: "A newer version was uploaded in the meantime" })
+    }
+
+    const upload = result.rows[0]
+
+    await recordAuditEvent(req, {
+      action: decision === "accepted" ? "candidate_upload.accept" : "candidate_upload.reject",
+      entityType: "candidate_upload",
+      entityId: upload.id,
+      before: { status: before.status, reviewReason: before.review_reason },
+      after: { status: upload.status, reviewReason: upload.review_reason },
+    })
+
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [upload.candidate_id])
+    const candidate = candidateResult.rows[0]
+    let link = null
+
+    if (decision === "rejected") {
+      // The checklist is incomplete again until the corrected copy arrives
+      await pool.query(
+        `UPDATE candidates SET status = 'pending' WHERE id = $1 AND status = 'documents_uploaded'`,
+        [candidate.id],
+      )
+
+      const reopened = await pool.query(
+        `UPDATE candidate_links
+         SET upload_completed = false, reminder_sent_at = NULL
+         WHERE id = (
+           SELECT id FROM candidate_links
+           WHERE candidate_id = $1 AND active = true AND revoked_at IS NULL AND expires_at > NOW()
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1
+         )
+         RETURNING *`,
+        [candidate.id],
+      )
+
+      if (reopened.rows.length > 0) {
+        link = reopened.rows[0]
+      } else {
+        const expiry = resolveExpiry({}, { defaultHours: CANDIDATE_LINK_EXPIRY_HOURS })
+        link = (await issueCandidateLink(req, candidate, { expiresAt: expiry.expiresAt })).link
+      }
+
+      const requirement = (await getDocumentChecklist(candidate.position)).find(
+        (item) => item.document_type === upload.document_type,
+      )
+
+      await queueEmail(
+        "candidate.document_rejected",
+        candidate.email,
+        {
+          candidate,
+          documentLabel: requirement ? requirement.label : upload.document_type,
+          reason,
+          url: candidateLinkUrl(link.token),
+          expiresAt: link.expires_at,
+        },
+        { entityType: "candidate_upload", entityId: upload.id },
+      )
+    }
+
+    const documents = await getDocumentProgress(candidate)
+
+    res.status(200).json({
+      success: true,
+      message: decision === "accepted" ? "Document accepted" : "Document rejected and the candidate asked to re-upload",
+      upload,
+      documents,
+      link: link ? { id: link.id, url: candidateLinkUrl(link.token), expiresAt: link.expires_at } : null,
+    })
+  } catch (error) {
+    console.error("Error reviewing upload:", error)
+    res.status(500).json({ success: false, message: "Failed to review upload" })
+  }
+})
+
+// Manual changes to a candidate's document status. "pending", "link_expired" and
+// "documents_uploaded" follow the onboarding link and the uploads themselves; admins approve only
+// a complete set of documents, but can reject a candidate at any point before that with a reason
+// (their onboarding links are revoked). Taking a decision back needs a reason too. The offer statuses
+// ("offer_sent", "offer_accepted", "offer_declined") follow the candidate's offer letters (see
+// OFFER LETTER ROUTES); by hand, an answered offer can only be followed by a rejection with a
+// reason, and an offer still out has to be withdrawn first. Progress through hiring is the
+// pipeline stage (see RECRUITMENT PIPELINE ROUTES).
+const STATUS_TRANSITIONS = {
+  pending: ["rejected"],
+  link_expired: ["rejected"],
+  documents_uploaded: ["approved", "rejected"],
+  approved: ["rejected", "documents_uploaded"],
+  rejected: ["approved", "documents_uploaded", "pending"],
+  offer_sent: [],
+  offer_accepted: ["rejected"],
+  offer_declined: ["rejected"],
+}
+const DECIDED_STATUSES = ["approved", "rejected"]
+const UNDOCUMENTED_STATUSES = ["pending", "link_expired"]
+
+// Update candidate status
+app.put("/api/admin/candidates/:id/status", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const { status } = req.body
+  const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : ""
+
+  const validStatuses = ["pending", "documents_uploaded", "approved", "rejected"]
+
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid status value",
+    })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Candidate not found",
+      })
+    }
+
+    const currentStatus = existing.rows[0].status
+    const allowed = STATUS_TRANSITIONS[currentStatus] || []
+
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message:
+          allowed.length === 0
+            ? `Status cannot be changed by hand while the candidate is ${currentStatus}`
+            : `From ${currentStatus} the status can only change to: ${allowed.join(", ")}`,
+      })
+    }
+
+    if (DECIDED_STATUSES.includes(currentStatus) && reason.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason of at least 3 characters is required to change an ${currentStatus === "approved" ? "approval" : "rejection"}`,
+      })
+    }
+
+    if (UNDOCUMENTED_STATUSES.includes(currentStatus) && reason.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason of at least 3 characters is required to reject a candidate before their documents are in",
+      })
+    }
+
+    if (currentStatus.startsWith("offer_") && reason.length < 3) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason of at least 3 characters is required to reject a candidate who answered an offer",
+      })
+    }
+
+    // A rejection taken back returns the candidate to wherever their documents are
+    if (currentStatus === "rejected") {
+      const documents = await getDocumentProgress(existing.rows[0])
+
+      if (status === "pending" && documents.complete) {
+        return res.status(409).json({ success: false, message: "The candidate's documents are complete; use documents_uploaded" })
+      }
+
+      if (status !== "pending" && !documents.complete) {
+        return res.status(409).json({ success: false, message: "The candidate's documents are not complete; use pending" })
+      }
+    }
+
+    const result = await pool.query(`UPDATE candidates SET status = $1 WHERE id = $2 RETURNING *`, [status, id])
+
+    // Nothing more to upload for a candidate turned down before finishing
+    let revokedLinks = []
+    if (status === "rejected" && UNDOCUMENTED_STATUSES.includes(currentStatus)) {
+      const revoked = await pool.query(
+        `UPDATE candidate_links
+         SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = 'Candidate rejected'
+         WHERE candidate_id = $2 AND active = true
+         RETURNING id`,
+        [req.admin.id, id],
+      )
+      revokedLinks = revoked.rows.map((link) => link.id)
+    }
+
+    await recordAuditEvent(req, {
+      action: "candidate.status_change",
+      entityType: "candidate",
+      entityId: id,
+      before: { status: currentStatus },
+      after: { status, reason: reason || null, ...(revokedLinks.length > 0 ? { revokedLinks } : {}) },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Candidate status updated",
+      candidate: result.rows[0],
+      revokedLinks,
+    })
+  } catch (error) {
+    console.error("Error updating candidate status:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to update candidate status",
+    })
+  }
+})
+
+// RECRUITMENT PIPELINE ROUTES
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/
+const INTERVIEW_STATUSES = ["scheduled", "completed", "cancelled", "no_show"]
+const RECOMMENDATIONS = ["strong_yes", "yes", "no", "strong_no"]
+
+// Stages in pipeline order; the first is where new candidates start
+const getPipelineStages = async (db = pool) => {
+  const result = await db.query(`SELECT * FROM pipeline_stages ORDER BY sort_order, key`)
+  return result.rows
+}
+
+const recordStageChange = (db, { candidateId, fromStage, toStage, reason = null, adminId = null }) =>
+  db.query(
+    `INSERT INTO candidate_stage_history (candidate_id, from_stage, to_stage, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [candidateId, fromStage, toStage, reason, adminId],
+  )
+
+app.get("/api/admin/pipeline-stages", requireAdmin("hr"), async (req, res) => {
+  try {
+    const stages = await getPipelineStages()
+    const counts = await pool.query(`SELECT stage, COUNT(*)::INTEGER AS count FROM candidates GROUP BY stage`)
+
+    res.status(200).json({
+      success: true,
+      stages: stages.map((stage) => {
+        const count = counts.rows.find((row) => row.stage === stage.key)
+        return { ...stage, final: stage.next_stages.length === 0, candidateCount: count ? count.count : 0 }
+      }),
+    })
+  } catch (error) {
+    console.error("Error fetching pipeline stages:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch pipeline stages" })
+  }
+})
+
+// Replace the pipeline. Body: { stages: [{ key, label, nextStages, requiresReason }] } in pipeline
+// order. A stage with no nextStages is final. Stages that candidates or interviews are at cannot
+// be removed.
+app.put("/api/admin/pipeline-stages", requireAdmin("hr"), async (req, res) => {
+  const { stages } = req.body
+
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return res.status(400).json({ success: false, message: "stages must be a non-empty array" })
+  }
+
+  const errors = {}
+  const keys = stages.map((stage) => stage.key)
+  stages.forEach((stage, index) => {
+    if (!stage.key || !STAGE_KEY_PATTERN.test(stage.key)) {
+      errors[`${index}.key`] = "Key must be lowercase letters, digits and underscores"
+    } else if (keys.indexOf(stage.key) !== index) {
+      errors[`${index}.key`] = "Key is listed twice"
+    }
+    if (!stage.label || stage.label.trim().length < 2) errors[`${index}.label`] = "Label must be at least 2 characters"
+    if (stage.nextStages !== undefined && !Array.isArray(stage.nextStages)) {
+      errors[`${index}.nextStages`] = "nextStages must be an array of stage keys"
+    } else if ((stage.nextStages || []).some((next) => next === stage.key || !keys.includes(next))) {
+      errors[`${index}.nextStages`] = "nextStages must list other stages in this pipeline"
+    }
+    if (stage.requiresReason !== undefined && typeof stage.requiresReason !== "boolean")
+      errors[`${index}.requiresReason`] = "requiresReason must be true or false"
+  })
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const existing = await getPipelineStages(db)
+    const removed = existing.map((stage) => stage.key).filter((key) => !keys.includes(key))
+
+    if (removed.length > 0) {
+      const inUse = await db.query(
+        `SELECT stage FROM candidates WHERE stage = ANY($1)
+         UNION
+         SELECT stage FROM interviews WHERE stage = ANY($1)`,
+        [removed],
+      )
+
+      if (inUse.rows.length > 0) {
+        await db.query("ROLLBACK")
+        return res.status(409).json({
+          success: false,
+          message: `Stages still in use cannot be removed: ${inUse.rows.map((row) => row.stage).join(", ")}`,
+        })
+      }
+    }
+
+    for (const [index, stage] of stages.entries()) {
+      await db.query(
+        `INSERT INTO pipeline_stages (key, label, sort_order, next_stages, requires_reason)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (key) DO UPDATE
+         SET label = EXCLUDED.label, sort_order = EXCLUDED.sort_order, next_stages = EXCLUDED.next_stages,
+             requires_reason = EXCLUDED.requires_reason, updated_at = NOW()`,
+        [stage.key, stage.label.trim(), index, stage.nextStages || [], stage.requiresReason === true],
+      )
+    }
+
+    if (removed.length > 0) {
+      await db.query(`DELETE FROM pipeline_stages WHERE key = ANY($1)`, [removed])
+    }
+
+    const saved = await getPipelineStages(db)
+    await db.query("COMMIT")
+
+    const summarize = (rows) => rows.map(({ key, next_stages, requires_reason }) => ({ key, next_stages, requires_reason }))
+    await recordAuditEvent(req, {
+      action: "pipeline.update",
+      entityType: "pipeline",
+      before: { stages: summarize(existing) },
+      after: { stages: summarize(saved) },
+    })
+
+    res.status(200).json({ success: true, message: "Pipeline saved", stages: saved })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error saving pipeline stages:", error)
+    res.status(500).json({ success: false, message: "Failed to save pipeline stages" })
+  } finally {
+    db.release()
+  }
+})
+
+// Move a candidate to another stage. Only the current stage's next stages are allowed, and some
+// stages (rejected, withdrawn) need a reason. Interviews still scheduled are cancelled when the
+// candidate reaches a final stage.
+app.put("/api/admin/candidates/:id/stage", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const { stage } = req.body
+  const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : ""
+
+  if (!stage) {
+    return res.status(400).json({ success: false, message: "stage is required" })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const candidateResult = await db.query(`SELECT * FROM candidates WHERE id = $1 FOR UPDATE`, [id])
+
+    if (candidateResult.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const candidate = candidateResult.rows[0]
+    const stages = await getPipelineStages(db)
+    const current = stages.find((item) => item.key === candidate.stage)
+    const target = stages.find((item) => item.key === stage)
+
+    let problem = null
+    if (!target) {
+      problem = { status: 400, message: `stage must be one of: ${stages.map((item) => item.key).join(", ")}` }
+    } else if (target.key === candidate.stage) {
+      problem = { status: 400, message: `Candidate is already at ${target.label}` }
+    } else if (!current.next_stages.includes(target.key)) {
+      problem = {
+        status: 409,
+        message:
+          current.next_stages.length === 0
+            ? `${current.label} is a final stage`
+            : `Candidates at ${current.label} can only move to: ${current.next_stages.join(", ")}`,
+      }
+    } else if (target.requires_reason && reason.length < 3) {
+      problem = { status: 400, message: `A reason of at least 3 characters is required to move to ${target.label}` }
+    }
+
+    if (problem) {
+      await db.query("ROLLBACK")
+      return res.status(problem.status).json({ success: false, message: problem.message })
+    }
+
+    const result = await db.query(
+      `UPDATE candidates SET stage = $1, stage_changed_at = NOW() WHERE id = $2 RETURNING *`,
+      [target.key, candidate.id],
+    )
+
+    await recordStageChange(db, {
+      candidateId: candidate.id,
+      fromStage: candidate.stage,
+      toStage: target.key,
+      reason: reason || null,
+      adminId: req.admin.id,
+    })
+
+    let cancelled = { rows: [] }
+    if (target.next_stages.length === 0) {
+      cancelled = await db.query(
+        `UPDATE interviews
+         SET status = 'cancelled', cancel_reason = $1, updated_at = NOW()
+         WHERE candidate_id = $2 AND status = 'scheduled'
+         RETURNING id`,
+        [`Candidate moved to ${target.label}`, candidate.id],
+      )
+    }
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: "candidate.stage_change",
+      entityType: "candidate",
+      entityId: candidate.id,
+      before: { stage: candidate.stage },
+      after: { stage: target.key, reason: reason || null },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Candidate moved to ${target.label}`,
+      candidate: result.rows[0],
+      cancelledInterviews: cancelled.rows.map((row) => row.id),
+    })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error changing candidate stage:", error)
+    res.status(500).json({ success: false, message: "Failed to change candidate stage" })
+  } finally {
+    db.release()
+  }
+})
+
+// Everything that happened to a candidate, oldest first: stage and document status changes,
+// uploads and their review, interviews and scorecards, and offers
+app.get("/api/admin/candidates/:id/timeline", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [id])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const stages = await getPipelineStages()
+    const stageLabel = (key) => {
+      const stage = stages.find((item) => item.key === key)
+      return stage ? stage.label : key
+    }
+
+    const [stageChanges, statusChanges, uploads, interviews, scorecards, offers] = await Promise.all([
+      pool.query(
+        `SELECT h.*, au.name AS changed_by_name
+         FROM candidate_stage_history h
+         LEFT JOIN admin_users au ON au.id = h.changed_by
+         WHERE h.candidate_id = $1`,
+        [id],
+      ),
+      pool.query(
+        `SELECT action, actor_email, before_data, after_data, created_at
+         FROM audit_events
+         WHERE entity_type = 'candidate' AND entity_id = $1
+           AND action IN ('candidate.status_change', 'candidate.link_lapsed')`,
+        [String(id)],
+      ),
+      pool.query(
+        `SELECT cu.id, cu.document_type, cu.version, cu.status, cu.review_reason, cu.upload_date, cu.reviewed_at,
+                au.name AS reviewed_by_name
+         FROM candidate_uploads cu
+         LEFT JOIN admin_users au ON au.id = cu.reviewed_by
+         WHERE cu.candidate_id = $1`,
+        [id],
+      ),
+      pool.query(
+        `SELECT i.*, au.name AS interviewer_name
+         FROM interviews i
+         JOIN admin_users au ON au.id = i.interviewer_id
+         WHERE i.candidate_id = $1`,
+        [id],
+      ),
+      pool.query(
+        `SELECT s.id, s.interview_id, s.overall_rating, s.recommendation, s.submitted_at, i.stage,
+                au.name AS evaluator_name
+         FROM interview_scorecards s
+         JOIN interviews i ON i.id = s.interview_id
+         JOIN admin_users au ON au.id = s.evaluator_id
+         WHERE i.candidate_id = $1`,
+        [id],
+      ),
+      pool.query(
+        `SELECT o.id, o.position, o.salary, o.joining_date, o.status, o.created_at, o.updated_at, o.responded_at,
+                o.decline_reason, o.withdraw_reason, au.name AS created_by_name
+         FROM offer_letters o
+         LEFT JOIN admin_users au ON au.id = o.created_by
+         WHERE o.candidate_id = $1`,
+        [id],
+      ),
+    ])
+
+    const events = [{ type: "candidate_created", at: candidateResult.rows[0].created_at }]
+
+    stageChanges.rows.forEach((row) => {
+      events.push({
+        type: "stage_change",
+        at: row.changed_at,
+        fromStage: row.from_stage,
+        fromLabel: row.from_stage ? stageLabel(row.from_stage) : null,
+        toStage: row.to_stage,
+        toLabel: stageLabel(row.to_stage),
+        reason: row.reason,
+        by: row.changed_by_name,
+      })
+    })
+
+    statusChanges.rows.forEach((row) => {
+      events.push({
+        type: "status_change",
+        at: row.created_at,
+        fromStatus: row.before_data ? row.before_data.status : null,
+        toStatus: row.after_data ? row.after_data.status : null,
+        reason: row.after_data ? row.after_data.reason || null : null,
+        by: row.actor_email,
+      })
+    })
+
+    uploads.rows.forEach((row) => {
+      events.push({ type: "document_uploaded", at: row.upload_date, uploadId: row.id, documentType: row.document_type, version: row.version })
+      if (row.reviewed_at) {
+        events.push({
+          type: row.status === "accepted" ? "document_accepted" : "document_rejected",
+          at: row.reviewed_at,
+          uploadId: row.id,
+          documentType: row.document_type,
+          version: row.version,
+          reason: row.review_reason,
+          by: row.reviewed_by_name,
+        })
+      }
+    })
+
+    interviews.rows.forEach((row) => {
+      events.push({
+        type: "interview_scheduled",
+        at: row.created_at,
+        interviewId: row.id,
+        stage: row.stage,
+        stageLabel: stageLabel(row.stage),
+        scheduledAt: row.scheduled_at,
+        interviewer: row.interviewer_name,
+      })
+      if (row.status === "cancelled" || row.status === "no_show") {
+        events.push({
+          type: row.status === "cancelled" ? "interview_cancelled" : "interview_no_show",
+          at: row.updated_at,
+          interviewId: row.id,
+          reason: row.cancel_reason,
+        })
+      }
+    })
+
+    scorecards.rows.forEach((row) => {
+      events.push({
+        type: "scorecard_submitted",
+        at: row.submitted_at,
+        interviewId: row.interview_id,
+        stage: row.stage,
+        stageLabel: stageLabel(row.stage),
+        overallRating: row.overall_rating,
+        recommendation: row.recommendation,
+        by: row.evaluator_name,
+      })
+    })
+
+    offers.rows.forEach((row) => {
+      events.push({
+        type: "offer_sent",
+        at: row.created_at,
+        offerId: row.id,
+        position: row.position,
+        salary: row.salary,
+        joiningDate: row.joining_date,
+        by: row.created_by_name,
+      })
+      if (row.responded_at) {
+        events.push({ type: `offer_${row.status}`, at: row.responded_at, offerId: row.id, reason: row.decline_reason })
+      } else if (row.status === "withdrawn" || row.status === "expired") {
+        events.push({ type: `offer_${row.status}`, at: row.updated_at, offerId: row.id, reason: row.withdraw_reason })
+      }
+    })
+
+    events.sort((a, b) => new Date(a.at) - new Date(b.at))
+
+    res.status(200).json({ success: true, candidate: candidateResult.rows[0], timeline: events })
+  } catch (error) {
+    console.error("Error fetching candidate timeline:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch candidate timeline" })
+  }
+})
+
+// INTERVIEW ROUTES
+
+const validateInterview = (data, { partial = false } = {}) => {
+  const errors = {}
+  const has = (field) => !partial || data[field] !== undefined
+
+  if (has("interviewerId") && !isPositiveInteger(data.interviewerId)) errors.interviewerId = "Interviewer is required"
+  if (has("scheduledAt")) {
+    const scheduledAt = new Date(data.scheduledAt)
+    if (!data.scheduledAt || isNaN(scheduledAt.getTime())) errors.scheduledAt = "scheduledAt must be a valid date"
+    else if (scheduledAt <= new Date()) errors.scheduledAt = "Interviews must be scheduled in the future"
+  }
+  if (
+    data.durationMinutes !== undefined &&
+    !(Number.isInteger(Number(data.durationMinutes)) && Number(data.durationMinutes) >= 15 && Number(data.durationMinutes) <= 480)
+  )
+    errors.durationMinutes = "Duration must be between 15 and 480 minutes"
+  if (data.location !== undefined && data.location !== null && typeof data.location !== "string")
+    errors.location = "Location must be text"
+
+  return errors
+}
+
+// An active admin user to run the interview, or null
+const findInterviewer = async (interviewerId) => {
+  const result = await pool.query(`SELECT id, name, email FROM admin_users WHERE id = $1 AND active = true`, [
+    interviewerId,
+  ])
+  return result.rows[0] || null
+}
+
+// Another scheduled interview of the same interviewer overlapping the given slot, or null
+const findInterviewerClash = async (interviewerId, scheduledAt, durationMinutes, excludeId = null) => {
+  const result = await pool.query(
+    `SELECT id, candidate_id, scheduled_at, duration_minutes FROM interviews
+     WHERE interviewer_id = $1
+       AND status = 'scheduled'
+       AND ($4::INTEGER IS NULL OR id <> $4)
+       AND scheduled_at < $2::TIMESTAMP + ($3 || ' minutes')::INTERVAL
+       AND scheduled_at + (duration_minutes || ' minutes')::INTERVAL > $2::TIMESTAMP
+     LIMIT 1`,
+    [interviewerId, new Date(scheduledAt), String(durationMinutes), excludeId],
+  )
+  return result.rows[0] || null
+}
+
+// Email the candidate and the interviewer about a new or moved interview
+const notifyInterviewScheduled = async (interview, { candidate, interviewer, rescheduled = false }) => {
+  const stageResult = await pool.query(`SELECT label FROM pipeline_stages WHERE key = $1`, [interview.stage])
+  const data = {
+    candidate,
+    interviewer,
+    interview,
+    stageLabel: stageResult.rows.length > 0 ? stageResult.rows[0].label : interview.stage,
+    rescheduled,
+  }
+  const options = { entityType: "interview", entityId: interview.id }
+
+  await queueEmail("interview.scheduled", candidate.email, data, options)
+  await queueEmail("interview.assigned", interviewer.email, data, options)
+}
+
+// Schedule an interview. Body: { interviewerId, scheduledAt, durationMinutes, location, stage }.
+// The round defaults to the candidate's current stage; the interviewer can be any active admin,
+// but not one already interviewing someone else at that time.
+app.post("/api/admin/candidates/:id/interviews", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const { interviewerId, scheduledAt, location } = req.body
+  const durationMinutes = Number(req.body.durationMinutes) || 60
+
+  const errors = validateInterview(req.body)
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [id])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const candidate = candidateResult.rows[0]
+    const stages = await getPipelineStages()
+    const current = stages.find((item) => item.key === candidate.stage)
+    const stage = stages.find((item) => item.key === (req.body.stage || candidate.stage))
+
+    if (current.next_stages.length === 0) {
+      return res.status(409).json({ success: false, message: `Candidate is at a final stage (${current.label})` })
+    }
+
+    if (!stage) {
+      return res.status(400).json({ success: false, errors: { stage: "Unknown pipeline stage" } })
+    }
+
+    const interviewer = await findInterviewer(interviewerId)
+
+    if (!interviewer) {
+      return res.status(400).json({ success: false, errors: { interviewerId: "Interviewer must be an active admin user" } })
+    }
+
+    const clash = await findInterviewerClash(interviewer.id, scheduledAt, durationMinutes)
+
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        message: `${interviewer.name} already has an interview at that time`,
+        clash,
+      })
+    }
+
+    const result = await pool.query(
+      `INSERT INTO interviews (candidate_id, stage, interviewer_id, scheduled_at, duration_minutes, location, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [candidate.id, stage.key, interviewer.id, new Date(scheduledAt), durationMinutes, location || null, req.admin.id],
+    )
+
+    const interview = result.rows[0]
+
+    await recordAuditEvent(req, {
+      action: "interview.schedule",
+      entityType: "interview",
+      entityId: interview.id,
+      after: interview,
+    })
+
+    await notifyInterviewScheduled(interview, { candidate, interviewer })
+
+    res.status(201).json({ success: true, interview })
+  } catch (error) {
+    console.error("Error scheduling interview:", error)
+    res.status(500).json({ success: false, message: "Failed to schedule interview" })
+  }
+})
+
+// A candidate's interviews, with every scorecard submitted for each
+app.get("/api/admin/candidates/:id/interviews", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.*, au.name AS interviewer_name, au.email AS interviewer_email,
+              COALESCE(
+                (SELECT json_agg(s ORDER BY s.submitted_at)
+                 FROM (
+                   SELECT sc.*, ev.name AS evaluator_name
+                   FROM interview_scorecards sc
+                   JOIN admin_users ev ON ev.id = sc.evaluator_id
+                   WHERE sc.interview_id = i.id
+                 ) s),
+                '[]'
+              ) AS scorecards,
+              (SELECT ROUND(AVG(sc.overall_rating), 2) FROM interview_scorecards sc WHERE sc.interview_id = i.id)
+                AS average_rating
+       FROM interviews i
+       JOIN admin_users au ON au.id = i.interviewer_id
+       WHERE i.candidate_id = $1
+       ORDER BY i.scheduled_at`,
+      [req.params.id],
+    )
+
+    res.status(200).json({ success: true, interviews: result.rows })
+  } catch (error) {
+    console.error("Error fetching candidate interviews:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch interviews" })
+  }
+})
+
+// Interview calendar with filters (interviewerId, candidateId, status, from, to)
+app.get("/api/admin/interviews", requireAdmin("hr"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, interviewerId, candidateId, status, from, to } = req.query
+    const offset = (page - 1) * limit
+
+    if (status && !INTERVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${INTERVIEW_STATUSES.join(", ")}`,
+      })
+    }
+
+    let query = `
+      SELECT i.*, c.name AS candidate_name, c.candidate_id AS candidate_code, c.position,
+             au.name AS interviewer_name,
+             COUNT(*) OVER() AS total_count
+      FROM interviews i
+      JOIN candidates c ON c.id = i.candidate_id
+      JOIN admin_users au ON au.id = i.interviewer_id
+    `
+
+    const params = []
+    const conditions = []
+
+    if (interviewerId) {
+      conditions.push(`i.interviewer_id = $${params.length + 1}`)
+      params.push(interviewerId)
+    }
+
+    if (candidateId) {
+      conditions.push(`i.candidate_id = $${params.length + 1}`)
+      params.push(candidateId)
+    }
+
+    if (status) {
+      conditions.push(`i.status = $${params.length + 1}`)
+      params.push(status)
+    }
+
+    if (from) {
+      conditions.push(`i.scheduled_at >= $${params.length + 1}`)
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push(`i.scheduled_at <= $${params.length + 1}`)
+      params.push(to)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY i.scheduled_at
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      interviews: result.rows.map((row) => {
+        const { total_count, ...interview } = row
+        return interview
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching interviews:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch interviews" })
+  }
+})
+
+// The logged-in admin's own interviews, upcoming first. Open to every role since any admin can
+// be asked to interview.
+app.get("/api/admin/my-interviews", requireAdmin(), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.*, c.name AS candidate_name, c.candidate_id AS candidate_code, c.position,
+              EXISTS (
+                SELECT 1 FROM interview_scorecards sc WHERE sc.interview_id = i.id AND sc.evaluator_id = $1
+              ) AS scorecard_submitted
+       FROM interviews i
+       JOIN candidates c ON c.id = i.candidate_id
+       WHERE i.interviewer_id = $1 AND i.status IN ('scheduled', 'completed')
+       ORDER BY i.status = 'completed', i.scheduled_at`,
+      [req.admin.id],
+    )
+
+    res.status(200).json({ success: true, interviews: result.rows })
+  } catch (error) {
+    console.error("Error fetching my interviews:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch interviews" })
+  }
+})
+
+// Reschedule, reassign or close a scheduled interview. Body: any of { interviewerId, scheduledAt,
+// durationMinutes, location }, or { status: "cancelled", cancelReason } / { status: "no_show" }.
+// Interviews are completed by submitting a scorecard.
+app.put("/api/admin/interviews/:id", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const { status } = req.body
+  const cancelReason = typeof req.body.cancelReason === "string" ? req.body.cancelReason.trim() : ""
+
+  const errors = validateInterview(req.body, { partial: true })
+  if (status !== undefined && !["cancelled", "no_show"].includes(status))
+    errors.status = "Status can only be set to cancelled or no_show"
+  if (status === "cancelled" && cancelReason.length < 3)
+    errors.cancelReason = "A reason of at least 3 characters is required to cancel"
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const columns = {
+    interviewerId: "interviewer_id",
+    scheduledAt: "scheduled_at",
+    durationMinutes: "duration_minutes",
+    location: "location",
+    status: "status",
+  }
+
+  const fields = Object.keys(columns).filter((field) => req.body[field] !== undefined)
+
+  if (fields.length === 0) {
+    return res.status(400).json({ success: false, message: "Nothing to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM interviews WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Interview not found" })
+    }
+
+    const before = existing.rows[0]
+
+    if (before.status !== "scheduled") {
+      return res.status(409).json({ success: false, message: `This interview is already ${before.status}` })
+    }
+
+    if (status === "no_show" && new Date(before.scheduled_at) > new Date()) {
+      return res.status(409).json({ success: false, message: "An interview cannot be a no-show before it starts" })
+    }
+
+    const interviewer = await findInterviewer(req.body.interviewerId || before.interviewer_id)
+
+    if (!interviewer) {
+      return res.status(400).json({ success: false, errors: { interviewerId: "Interviewer must be an active admin user" } })
+    }
+
+    const moved = ["interviewerId", "scheduledAt", "durationMinutes"].some((field) => fields.includes(field))
+
+    if (moved && !status) {
+      const clash = await findInterviewerClash(
+        interviewer.id,
+        req.body.scheduledAt || before.scheduled_at,
+        Number(req.body.durationMinutes) || before.duration_minutes,
+        before.id,
+      )
+
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: `${interviewer.name} already has an interview at that time`,
+          clash,
+        })
+      }
+    }
+
+    const assignments = fields.map((field, index) => `${columns[field]} = $${index + 1}`)
+    const params = fields.map((field) => (field === "scheduledAt" ? new Date(req.body[field]) : req.body[field]))
+
+    const result = await pool.query(
+      `UPDATE interviews
+       SET ${assignments.join(", ")}, cancel_reason = $${params.length + 1}, updated_at = NOW()
+       WHERE id = $${params.length + 2}
+       RETURNING *`,
+      [...params, status === "cancelled" ? cancelReason : null, id],
+    )
+
+    const interview = result.rows[0]
+    const changes = {}
+    fields.forEach((field) => {
+      changes[columns[field]] = interview[columns[field]]
+    })
+
+    await recordAuditEvent(req, {
+      action: status === "cancelled" ? "interview.cancel" : status === "no_show" ? "interview.no_show" : "interview.update",
+      entityType: "interview",
+      entityId: interview.id,
+      before: Object.fromEntries(Object.keys(changes).map((column) => [column, before[column]])),
+      after: status === "cancelled" ? { ...changes, cancel_reason: cancelReason } : changes,
+    })
+
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [interview.candidate_id])
+    const candidate = candidateResult.rows[0]
+
+    if (status === "cancelled") {
+      await queueEmail(
+        "interview.cancelled",
+        candidate.email,
+        { candidate, interview },
+        { entityType: "interview", entityId: interview.id },
+      )
+    } else if (moved) {
+      await notifyInterviewScheduled(interview, { candidate, interviewer, rescheduled: true })
+    }
+
+    res.status(200).json({ success: true, message: "Interview updated", interview })
+  } catch (error) {
+    console.error("Error updating interview:", error)
+    res.status(500).json({ success: false, message: "Failed to update interview" })
+  }
+})
+
+const validateScorecard = (data) => {
+  const errors = {}
+
+  if (data.ratings !== undefined) {
+    if (!data.ratings || typeof data.ratings !== "object" || Array.isArray(data.ratings)) {
+      errors.ratings = "ratings must map criteria to a rating from 1 to 5"
+    } else {
+      Object.entries(data.ratings).forEach(([criterion, rating]) => {
+        if (!STAGE_KEY_PATTERN.test(criterion)) errors[`ratings.${criterion}`] = "Criteria must be lowercase letters, digits and underscores"
+        else if (!(Number.isInteger(rating) && rating >= 1 && rating <= 5)) errors[`ratings.${criterion}`] = "Rating must be 1 to 5"
+      })
+    }
+  }
+  if (!(Number.isInteger(data.overallRating) && data.overallRating >= 1 && data.overallRating <= 5))
+    errors.overallRating = "Overall rating must be a whole number from 1 to 5"
+  if (!RECOMMENDATIONS.includes(data.recommendation))
+    errors.recommendation = `Recommendation must be one of: ${RECOMMENDATIONS.join(", ")}`
+  if (data.notes !== undefined && data.notes !== null && typeof data.notes !== "string") errors.notes = "Notes must be text"
+
+  return errors
+}
+
+// Submit (or revise) the logged-in admin's scorecard for an interview. Body: { ratings:
+// { criterion: 1-5 }, overallRating, recommendation, notes }. Open to the interviewer and to HR;
+// the interview counts as completed once a scorecard is in.
+app.put("/api/admin/interviews/:id/scorecard", requireAdmin(), async (req, res) => {
+  const { id } = req.params
+  const { ratings = {}, overallRating, recommendation, notes } = req.body
+
+  const errors = validateScorecard(req.body)
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const interviewResult = await pool.query(`SELECT * FROM interviews WHERE id = $1`, [id])
+
+    if (interviewResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Interview not found" })
+    }
+
+    const interview = interviewResult.rows[0]
+
+    if (interview.interviewer_id !== req.admin.id && !["hr", "superadmin"].includes(req.admin.role)) {
+      return res.status(403).json({ success: false, message: "Only the interviewer or HR can score this interview" })
+    }
+
+    if (!["scheduled", "completed"].includes(interview.status)) {
+      return res.status(409).json({ success: false, message: `This interview was ${interview.status.replace("_", "-")}` })
+    }
+
+    if (new Date(interview.scheduled_at) > new Date()) {
+      return res.status(409).json({ success: false, message: "The interview has not started yet" })
+    }
+
+    const existing = await pool.query(
+      `SELECT * FROM interview_scorecards WHERE interview_id = $1 AND evaluator_id = $2`,
+      [interview.id, req.admin.id],
+    )
+
+    const result = await pool.query(
+      `INSERT INTO interview_scorecards (interview_id, evaluator_id, ratings, overall_rating, recommendation, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (interview_id, evaluator_id) DO UPDATE
+       SET ratings = EXCLUDED.ratings, overall_rating = EXCLUDED.overall_rating,
+           recommendation = EXCLUDED.recommendation, notes = EXCLUDED.notes, updated_at = NOW()
+       RETURNING *`,
+      [interview.id, req.admin.id, JSON.stringify(ratings), overallRating, recommendation, notes || null],
+    )
+
+    await pool.query(
+      `UPDATE interviews SET status = 'completed', updated_at = NOW() WHERE id = $1 AND status = 'scheduled'`,
+      [interview.id],
+    )
+
+    const scorecard = result.rows[0]
+    const summarize = (row) => ({ overall_rating: row.overall_rating, recommendation: row.recommendation, ratings: row.ratings })
+
+    await recordAuditEvent(req, {
+      action: existing.rows.length > 0 ? "interview.scorecard_update" : "interview.scorecard_submit",
+      entityType: "interview",
+      entityId: interview.id,
+      before: existing.rows.length > 0 ? summarize(existing.rows[0]) : null,
+      after: summarize(scorecard),
+    })
+
+    res.status(existing.rows.length > 0 ? 200 : 201).json({ success: true, scorecard })
+  } catch (error) {
+    console.error("Error saving scorecard:", error)
+    res.status(500).json({ success: false, message: "Failed to save scorecard" })
+  }
+})
+
+// OFFER LETTER ROUTES
+
+// Placeholders an offer template may use, written as {{name}}
+const OFFER_PLACEHOLDERS = ["candidateName", "candidateId", "position", "salary", "joiningDate", "respondBy", "companyName"]
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g
+
+// Candidates an offer can be made to: approved, or holding an earlier offer (which the new one replaces)
+const OFFERABLE_STATUSES = ["approved", "offer_sent", "offer_declined"]
+
+// Pipeline stage a candidate moves to on accepting an offer
+const OFFER_ACCEPTED_STAGE = "offer_accepted"
+
+// Why no offer can be made to the candidate right now, as { status, message }, or null
+const findOfferProblem = async (db, candidate) => {
+  if (!OFFERABLE_STATUSES.includes(candidate.status)) {
+    return {
+      status: 409,
+      message: `Offers can only be made to approved candidates (this candidate is ${candidate.status})`,
+    }
+  }
+
+  const currentStage = (await getPipelineStages(db)).find((stage) => stage.key === candidate.stage)
+
+  if (currentStage && currentStage.next_stages.length === 0) {
+    return { status: 409, message: `Candidate is at ${currentStage.label}, which is a final stage` }
+  }
+
+  return null
+}
+
+const fillOfferTemplate = (body, values) =>
+  body.replace(PLACEHOLDER_PATTERN, (match, name) => (values[name] !== undefined ? values[name] : match))
+
+const validateOfferTemplate = (data, { partial = false } = {}) => {
+  const errors = {}
+  const has = (field) => !partial || data[field] !== undefined
+
+  if (has("name") && !(typeof data.name === "string" && data.name.trim().length >= 2 && data.name.trim().length <= 100))
+    errors.name = "Name must be between 2 and 100 characters"
+  if (has("body")) {
+    if (!(typeof data.body === "string" && data.body.trim().length >= 20)) {
+      errors.body = "Body must be at least 20 characters"
+    } else {
+      const unknown = [...data.body.matchAll(PLACEHOLDER_PATTERN)]
+        .map((match) => match[1])
+        .filter((name) => !OFFER_PLACEHOLDERS.includes(name))
+      if (unknown.length > 0)
+        errors.body = `Unknown placeholders: ${[...new Set(unknown)].join(", ")}. Available: ${OFFER_PLACEHOLDERS.join(", ")}`
+    }
+  }
+
+  return errors
+}
+
+const validateOffer = (data) => {
+  const errors = {}
+
+  if (!(Number(data.salary) > 0)) errors.salary = "Salary must be a positive amount"
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.joiningDate || "") || isNaN(new Date(data.joiningDate).getTime())) {
+    errors.joiningDate = "joiningDate must be a date (YYYY-MM-DD)"
+  } else if (data.joiningDate < new Date().toISOString().slice(0, 10)) {
+    errors.joiningDate = "Joining date cannot be in the past"
+  }
+  if (
+    data.position !== undefined &&
+    !(typeof data.position === "string" && data.position.trim().length >= 2 && data.position.trim().length <= 100)
+  )
+    errors.position = "Position must be between 2 and 100 characters"
+
+  return errors
+}
+
+app.get("/api/admin/offer-templates", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM offer_templates ORDER BY id`)
+    res.status(200).json({ success: true, templates: result.rows, placeholders: OFFER_PLACEHOLDERS })
+  } catch (error) {
+    console.error("Error fetching offer templates:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch offer templates" })
+  }
+})
+
+app.post("/api/admin/offer-templates", requireAdmin("hr"), async (req, res) => {
+  const errors = validateOfferTemplate(req.body)
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const result = await pool.query(`INSERT INTO offer_templates (name, body) VALUES ($1, $2) RETURNING *`, [
+      req.body.name.trim(),
+      req.body.body.trim(),
+    ])
+
+    await recordAuditEvent(req, {
+      action: "offer_template.create",
+      entityType: "offer_template",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({ success: true, message: "Offer template created", template: result.rows[0] })
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(400).json({ success: false, message: "An offer template with this name already exists" })
+    }
+    console.error("Error creating offer template:", error)
+    res.status(500).json({ success: false, message: "Failed to create offer template" })
+  }
+})
+
+// Update a template's name and/or body. Letters already generated keep the text they were sent with.
+app.put("/api/admin/offer-templates/:id", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const errors = validateOfferTemplate(req.body, { partial: true })
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const columns = { name: "name", body: "body" }
+  const updates = []
+  const params = []
+
+  Object.entries(columns).forEach(([field, column]) => {
+    if (req.body[field] !== undefined) {
+      params.push(req.body[field].trim())
+      updates.push(`${column} = $${params.length}`)
+    }
+  })
+
+  if (updates.length === 0) {
+    return res.status(400).json({ success: false, message: "No fields to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM offer_templates WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Offer template not found" })
+    }
+
+    params.push(id)
+    const result = await pool.query(
+      `UPDATE offer_templates SET ${updates.join(", ")}, updated_at = NOW() WHERE id = $${params.length} RETURNING *`,
+      params,
+    )
+
+    await recordAuditEvent(req, {
+      action: "offer_template.update",
+      entityType: "offer_template",
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0],
+    })
+
+    res.status(200).json({ success: true, message: "Offer template updated", template: result.rows[0] })
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(400).json({ success: false, message: "An offer template with this name already exists" })
+    }
+    console.error("Error updating offer template:", error)
+    res.status(500).json({ success: false, message: "Failed to update offer template" })
+  }
+})
+
+// Generate an offer letter for an approved candidate and send it through a new offer link.
+// Body: { salary, joiningDate, position, templateId, expiresAt | expiresInHours }. The position
+// defaults to the candidate's, the template to the first one, and the link's expiry (the date the
+// candidate must respond by) to OFFER_LINK_EXPIRY_HOURS. An offer still open is withdrawn in favour
+// of the new one. The candidate moves to the "offer" pipeline stage when their stage allows it.
+app.post("/api/admin/candidates/:id/offers", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const errors = validateOffer(req.body)
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const expiry = resolveExpiry(
+    { expiresAt: req.body.expiresAt, hours: req.body.expiresInHours },
+    { defaultHours: OFFER_LINK_EXPIRY_HOURS },
+  )
+
+  if (expiry.error) {
+    return res.status(400).json({ success: false, message: expiry.error })
+  }
+
+  let tempPath = null
+  let storageKey = null
+  let offerSaved = false
+
+  try {
+    // The letter is written and stored before the candidate row is locked, so a slow render or
+    // store does not hold the lock. The checks run again under the lock; if they fail the stored
+    // file is removed below.
+    const preview = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [id])
+
+    if (preview.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const problem = await findOfferProblem(pool, preview.rows[0])
+    if (problem) {
+      return res.status(problem.status).json({ success: false, message: problem.message })
+    }
+
+    const templateResult = req.body.templateId
+      ? await pool.query(`SELECT * FROM offer_templates WHERE id = $1`, [req.body.templateId])
+      : await pool.query(`SELECT * FROM offer_templates ORDER BY id LIMIT 1`)
+
+    if (templateResult.rows.length === 0) {
+      return res.status(400).json({ success: false, message: "Offer template not found" })
+    }
+
+    const template = templateResult.rows[0]
+    const position = req.body.position ? req.body.position.trim() : preview.rows[0].position
+    const salary = Number(req.body.salary)
+
+    const body = fillOfferTemplate(template.body, {
+      candidateName: preview.rows[0].name,
+      candidateId: preview.rows[0].candidate_id,
+      position,
+      salary: formatAmount(salary),
+      joiningDate: formatDate(req.body.joiningDate),
+      respondBy: formatDate(expiry.expiresAt),
+      companyName: COMPANY_NAME,
+    })
+
+    const token = crypto.randomBytes(32).toString("hex")
+    const letter = {
+      body,
+      position,
+      salary,
+      joining_date: req.body.joiningDate,
+      expires_at: expiry.expiresAt,
+      created_at: new Date(),
+    }
+
+    tempPath = path.join(os.tmpdir(), `offer-${Date.now()}-${Math.round(Math.random() * 1e9)}.pdf`)
+    await renderOfferLetterPdf(tempPath, { offer: letter, candidate: preview.rows[0] })
+
+    storageKey = `offers/offer-${crypto.randomBytes(12).toString("hex")}.pdf`
+    await getStorage().put(storageKey, tempPath, { contentType: "application/pdf" })
+
+    const db = await pool.connect()
+
+    try {
+      await db.query("BEGIN")
+
+      const candidateResult = await db.query(`SELECT * FROM candidates WHERE id = $1 FOR UPDATE`, [id])
+
+      if (candidateResult.rows.length === 0) {
+        await db.query("ROLLBACK")
+        return res.status(404).json({ success: false, message: "Candidate not found" })
+      }
+
+      const candidate = candidateResult.rows[0]
+      const lockedProblem = await findOfferProblem(db, candidate)
+
+      if (lockedProblem) {
+        await db.query("ROLLBACK")
+        return res.status(lockedProblem.status).json({ success: false, message: lockedProblem.message })
+      }
+
+      // The letter names the candidate; if that changed meanwhile it would be out of date
+      if (
+        candidate.name !== preview.rows[0].name ||
+        candidate.candidate_id !== preview.rows[0].candidate_id ||
+        (!req.body.position && candidate.position !== preview.rows[0].position)
+      ) {
+        await db.query("ROLLBACK")
+        return res.status(409).json({ success: false, message: "The candidate was updated while the letter was prepared; try again" })
+      }
+
+      const stages = await getPipelineStages(db)
+      const currentStage = stages.find((stage) => stage.key === candidate.stage)
+
+      const replaced = await db.query(
+        `UPDATE offer_letters SET status = 'withdrawn', withdraw_reason = 'Replaced by a new offer', updated_at = NOW()
+         WHERE candidate_id = $1 AND status = 'sent'
+         RETURNING id`,
+        [candidate.id],
+      )
+
+      const offerResult = await db.query(
+        `INSERT INTO offer_letters
+           (candidate_id, template_id, position, salary, joining_date, body, token, expires_at, created_by,
+            storage_key, file_size)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          candidate.id,
+          template.id,
+          position,
+          salary,
+          req.body.joiningDate,
+          body,
+          token,
+          expiry.expiresAt,
+          req.admin.id,
+          storageKey,
+          fs.statSync(tempPath).size,
+        ],
+      )
+      const offer = offerResult.rows[0]
+
+      await db.query(`UPDATE candidates SET status = 'offer_sent' WHERE id = $1`, [candidate.id])
+
+      let movedToStage = null
+      if (currentStage && currentStage.key !== "offer" && currentStage.next_stages.includes("offer")) {
+        await db.query(`UPDATE candidates SET stage = 'offer', stage_changed_at = NOW() WHERE id = $1`, [candidate.id])
+        await recordStageChange(db, {
+          candidateId: candidate.id,
+          fromStage: candidate.stage,
+          toStage: "offer",
+          reason: `Offer letter #${offer.id} sent`,
+          adminId: req.admin.id,
+        })
+        movedToStage = "offer"
+      }
+
+      await db.query("COMMIT")
+      offerSaved = true
+
+      await recordAuditEvent(req, {
+        action: "offer_letter.create",
+        entityType: "offer_letter",
+        entityId: offer.id,
+        before: { candidateStatus: candidate.status, replacedOffers: replaced.rows.map((row) => row.id) },
+        after: { ...offer, candidateStatus: "offer_sent", stage: movedToStage || candidate.stage },
+      })
+
+      const url = offerLinkUrl(offer.token)
+      await queueEmail(
+        "offer.sent",
+        candidate.email,
+        { candidate, offer, url },
+        { entityType: "offer_letter", entityId: offer.id },
+      )
+
+      res.status(201).json({
+        success: true,
+        message: "Offer letter sent",
+        offer,
+        link: url,
+        replacedOffers: replaced.rows.map((row) => row.id),
+      })
+    } catch (error) {
+      await db.query("ROLLBACK").catch(() => {})
+      throw error
+    } finally {
+      db.release()
+    }
+  } catch (error) {
+    console.error("Error generating offer letter:", error)
+    res.status(500).json({ success: false, message: "Failed to generate offer letter" })
+  } finally {
+    if (storageKey && !offerSaved) await getStorage().remove(storageKey).catch(() => {})
+    if (tempPath) fs.unlink(tempPath, () => {})
+  }
+})
+
+// Every offer made to the candidate, newest first
+app.get("/api/admin/candidates/:id/offers", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const candidateResult = await pool.query(`SELECT id FROM candidates WHERE id = $1`, [id])
+
+    if (candidateResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Candidate not found" })
+    }
+
+    const result = await pool.query(
+      `SELECT o.*, au.name AS created_by_name, t.name AS template_name
+       FROM offer_letters o
+       LEFT JOIN admin_users au ON au.id = o.created_by
+       LEFT JOIN offer_templates t ON t.id = o.template_id
+       WHERE o.candidate_id = $1
+       ORDER BY o.created_at DESC, o.id DESC`,
+      [id],
+    )
+
+    res.status(200).json({
+      success: true,
+      offers: result.rows.map((offer) => ({ ...offer, link: offerLinkUrl(offer.token) })),
+    })
+  } catch (error) {
+    console.error("Error fetching offer letters:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch offer letters" })
+  }
+})
+
+// Stream an offer letter's PDF from the store
+const sendOfferLetter = async (res, offer) => {
+  const fileStream = offer.storage_key ? await getStorage().get(offer.storage_key) : null
+
+  if (!fileStream) {
+    return res.status(404).json({ success: false, message: "File not found on server" })
+  }
+
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `attachment; filename="offer-letter-${offer.id}.pdf"`)
+  await streamFile(fileStream, res)
+}
+
+app.get("/api/admin/offers/:id/letter", requireAdmin("hr"), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM offer_letters WHERE id = $1`, [req.params.id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Offer letter not found" })
+    }
+
+    await sendOfferLetter(res, result.rows[0])
+  } catch (error) {
+    console.error("Error downloading offer letter:", error)
+    res.status(500).json({ success: false, message: "Failed to download offer letter" })
+  }
+})
+
+// Withdraw an offer the candidate has not answered yet. Needs a reason; the candidate is emailed
+// and goes back to approved, ready for another offer.
+app.post("/api/admin/offers/:id/withdraw", requireAdmin("hr"), async (req, res) => {
+  const { id } = req.params
+  const reason = typeof (req.body || {}).reason === "string" ? req.body.reason.trim() : ""
+
+  if (reason.length < 3) {
+    return res.status(400).json({ success: false, message: "A reason of at least 3 characters is required" })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const existing = await db.query(`SELECT * FROM offer_letters WHERE id = $1 FOR UPDATE`, [id])
+
+    if (existing.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Offer letter not found" })
+    }
+
+    if (existing.rows[0].status !== "sent") {
+      await db.query("ROLLBACK")
+      return res.status(409).json({ success: false, message: `This offer is already ${existing.rows[0].status}` })
+    }
+
+    const result = await db.query(
+      `UPDATE offer_letters SET status = 'withdrawn', withdraw_reason = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [reason, id],
+    )
+    const candidateResult = await db.query(
+      `UPDATE candidates SET status = 'approved' WHERE id = $1 AND status = 'offer_sent' RETURNING *`,
+      [existing.rows[0].candidate_id],
+    )
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: "offer_letter.withdraw",
+      entityType: "offer_letter",
+      entityId: id,
+      before: { status: "sent" },
+      after: { status: "withdrawn", reason },
+    })
+
+    if (candidateResult.rows.length > 0) {
+      await queueEmail(
+        "offer.withdrawn",
+        candidateResult.rows[0].email,
+        { candidate: candidateResult.rows[0], offer: result.rows[0] },
+        { entityType: "offer_letter", entityId: result.rows[0].id },
+      )
+    }
+
+    res.status(200).json({ success: true, message: "Offer withdrawn", offer: result.rows[0] })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error withdrawing offer letter:", error)
+    res.status(500).json({ success: false, message: "Failed to withdraw offer letter" })
+  } finally {
+    db.release()
+  }
+})
+
+// An offer by its link token, joined with the candidate. Withdrawn offers are treated as gone.
+const findOfferByToken = async (token) => {
+  const result = await pool.query(
+    `SELECT o.*, c.name AS candidate_name, c.candidate_id AS candidate_code, c.email AS candidate_email
+     FROM offer_letters o
+     JOIN candidates c ON c.id = o.candidate_id
+     WHERE o.token = $1 AND o.status <> 'withdrawn'`,
+    [token],
+  )
+  return result.rows[0] || null
+}
+
+// Get an offer by its token. The candidate can keep viewing it after responding or after it
+// expires; canRespond says whether it can still be accepted or declined.
+app.get("/api/offer/:token", async (req, res) => {
+  try {
+    const offer = await findOfferByToken(req.params.token)
+
+    if (!offer) {
+      return res.status(404).json({ success: false, message: "Offer not found or withdrawn" })
+    }
+
+    await pool.query(`UPDATE offer_letters SET first_opened_at = COALESCE(first_opened_at, NOW()) WHERE id = $1`, [
+      offer.id,
+    ])
+
+    res.status(200).json({
+      success: true,
+      offer: {
+        id: offer.id,
+        position: offer.position,
+        salary: offer.salary,
+        joiningDate: offer.joining_date,
+        body: offer.body,
+        status: offer.status,
+        expiresAt: offer.expires_at,
+        respondedAt: offer.responded_at,
+      },
+      candidate: { name: offer.candidate_name, candidateId: offer.candidate_code },
+      canRespond: offer.status === "sent" && new Date(offer.expires_at) > new Date(),
+    })
+  } catch (error) {
+    console.error("Error fetching offer:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch offer" })
+  }
+})
+
+app.get("/api/offer/:token/letter", async (req, res) => {
+  try {
+    const offer = await findOfferByToken(req.params.token)
+
+    if (!offer) {
+      return res.status(404).json({ success: false, message: "Offer not found or withdrawn" })
+    }
+
+    await sendOfferLetter(res, offer)
+  } catch (error) {
+    console.error("Error downloading offer letter:", error)
+    res.status(500).json({ success: false, message: "Failed to download offer letter" })
+  }
+})
+
+// Accept or decline an offer. Body: { decision: "accept" | "decline", reason }; the reason is
+// optional and only kept for declines. The time, IP address and browser of the response are
+// recorded, the candidate's status follows it and HR is emailed.
+app.post("/api/offer/:token/respond", async (req, res) => {
+  const { decision } = req.body || {}
+  const reason = typeof (req.body || {}).reason === "string" ? req.body.reason.trim() : ""
+
+  if (!["accept", "decline"].includes(decision)) {
+    return res.status(400).json({ success: false, message: "decision must be accept or decline" })
+  }
+
+  const db = await pool.connect()
+
+  try {
+    await db.query("BEGIN")
+
+    const existing = await db.query(
+      `SELECT * FROM offer_letters WHERE token = $1 AND status <> 'withdrawn' FOR UPDATE`,
+      [req.params.token],
+    )
+
+    if (existing.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Offer not found or withdrawn" })
+    }
+
+    const current = existing.rows[0]
+
+    if (current.status !== "sent") {
+      await db.query("ROLLBACK")
+      return res.status(409).json({ success: false, message: `This offer has already been ${current.status}` })
+    }
+
+    if (new Date(current.expires_at) <= new Date()) {
+      await db.query("ROLLBACK")
+      return res.status(410).json({ success: false, message: "This offer has expired" })
+    }
+
+    const status = decision === "accept" ? "accepted" : "declined"
+    const result = await db.query(
+      `UPDATE offer_letters
+       SET status = $1, responded_at = NOW(), response_ip = $2, response_user_agent = $3, decline_reason = $4,
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING *`,
+      [status, req.ip, req.get("User-Agent") || null, status === "declined" ? reason || null : null, current.id],
+    )
+    const offer = result.rows[0]
+
+    let candidateResult = await db.query(
+      `UPDATE candidates SET status = $1 WHERE id = $2 RETURNING *`,
+      [`offer_${status}`, current.candidate_id],
+    )
+
+    // Accepting moves the candidate on in the pipeline, when their current stage leads there
+    let movedToStage = null
+    if (status === "accepted") {
+      const candidate = candidateResult.rows[0]
+      const currentStage = (await getPipelineStages(db)).find((stage) => stage.key === candidate.stage)
+
+      if (currentStage && currentStage.next_stages.includes(OFFER_ACCEPTED_STAGE)) {
+        candidateResult = await db.query(
+          `UPDATE candidates SET stage = $1, stage_changed_at = NOW() WHERE id = $2 RETURNING *`,
+          [OFFER_ACCEPTED_STAGE, candidate.id],
+        )
+        await recordStageChange(db, {
+          candidateId: candidate.id,
+          fromStage: candidate.stage,
+          toStage: OFFER_ACCEPTED_STAGE,
+          reason: `Offer letter #${offer.id} accepted`,
+        })
+        movedToStage = OFFER_ACCEPTED_STAGE
+      }
+    }
+
+    await db.query("COMMIT")
+
+    await recordAuditEvent(req, {
+      action: `offer_letter.${decision}`,
+      entityType: "offer_letter",
+      entityId: offer.id,
+      before: { status: "sent" },
+      after: { status, respondedAt: offer.responded_at, reason: offer.decline_reason, stage: movedToStage },
+    })
+
+    await queueAdminEmail(
+      "hr",
+      "offer.responded",
+      { candidate: candidateResult.rows[0], offer },
+      { entityType: "offer_letter", entityId: offer.id },
+    )
+
+    res.status(200).json({
+      success: true,
+      message: status === "accepted" ? "Offer accepted" : "Offer declined",
+      offer: { id: offer.id, status: offer.status, respondedAt: offer.responded_at },
+    })
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error responding to offer:", error)
+    res.status(500).json({ success: false, message: "Failed to record your response" })
+  } finally {
+    db.release()
+  }
+})
+
+// LINK LIFECYCLE ROUTES
+
+// Client payment links and candidate onboarding links share one lifecycle: issued with an expiry,
+// optionally extended, and ended by use, expiry or revocation
+const LINK_KINDS = {
+  client: {
+    table: "client_links",
+    ownerTable: "clients",
+    ownerColumn: "client_id",
+    completedColumn: "payment_completed",
+    completedMessage: "This link has already been used for a payment",
+    // Two active links may exist for a client, as long as they bill different milestones
+    scopeColumn: "milestone_id",
+    entityType: "client_link",
+    ownerName: "Client",
+  },
+  candidate: {
+    table: "candidate_links",
+    ownerTable: "candidates",
+    ownerColumn: "candidate_id",
+    completedColumn: "upload_completed",
+    completedMessage: "This link has already been used to upload documents",
+    scopeColumn: null,
+    entityType: "candidate_link",
+    ownerName: "Candidate",
+  },
+}
+
+// Where a link is in its lifecycle, derived from its row
+const linkStateSql = (kind) => `
+  CASE
+    WHEN l.${LINK_KINDS[kind].completedColumn} THEN 'completed'
+    WHEN l.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN l.expires_at <= NOW() THEN 'expired'
+    WHEN l.active THEN 'active'
+    ELSE 'inactive'
+  END`
+
+const recordLinkOpen = (kind, linkId) =>
+  pool.query(
+    `UPDATE ${LINK_KINDS[kind].table}
+     SET first_opened_at = COALESCE(first_opened_at, NOW()), last_opened_at = NOW(), open_count = open_count + 1
+     WHERE id = $1`,
+    [linkId],
+  )
+
+// Push a link's expiry out, reactivating it if it had lapsed. Takes expiresAt, or extendByHours
+// counted from the current expiry (or from now, for a link that has already expired).
+const extendLink = (kind) => async (req, res) => {
+  const config = LINK_KINDS[kind]
+  const { id } = req.params
+  const { expiresAt, extendByHours } = req.body
+
+  try {
+    const existing = await pool.query(`SELECT * FROM ${config.table} WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Link not found" })
+    }
+
+    const link = existing.rows[0]
+
+    if (link.revoked_at) {
+      return res.status(400).json({ success: false, message: "Revoked links cannot be extended" })
+    }
+
+    if (link[config.completedColumn]) {
+      return res.status(400).json({ success: false, message: config.completedMessage })
+    }
+
+    const from = new Date(Math.max(Date.now(), new Date(link.expires_at).getTime()))
+    const expiry = resolveExpiry({ expiresAt, hours: extendByHours }, { from })
+
+    if (expiry.error) {
+      return res.status(400).json({ success: false, message: expiry.error })
+    }
+
+    if (expiry.expiresAt <= new Date(link.expires_at)) {
+      return res.status(400).json({
+        success: false,
+        message: "The new expiry must be later than the current one; revoke the link to end it early",
+      })
+    }
+
+    // Reviving a lapsed link must not leave two live links for the same thing
+    if (!link.active) {
+      const scope = config.scopeColumn ? ` AND ${config.scopeColumn} IS NOT DISTINCT FROM $3` : ""
+      const params = [link[config.ownerColumn], link.id]
+      if (config.scopeColumn) params.push(link[config.scopeColumn])
+
+      const conflict = await pool.query(
+        `SELECT id FROM ${config.table}
+         WHERE ${config.ownerColumn} = $1 AND id <> $2 AND active = true AND expires_at > NOW()${scope}`,
+        params,
+      )
+
+      if (conflict.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Link #${conflict.rows[0].id} is already active; revoke it before reviving this one`,
+        })
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE ${config.table}
+       SET expires_at = $1, active = true, reminder_sent_at = NULL
+       WHERE id = $2
+       RETURNING *`,
+      [expiry.expiresAt, id],
+    )
+
+    await recordAuditEvent(req, {
+      action: `${config.entityType}.extend`,
+      entityType: config.entityType,
+      entityId: id,
+      before: { expires_at: link.expires_at, active: link.active },
+      after: { expires_at: result.rows[0].expires_at, active: true },
+    })
+
+    res.status(200).json({ success: true, message: "Link extended", link: result.rows[0] })
+  } catch (error) {
+    console.error("Error extending link:", error)
+    res.status(500).json({ success: false, message: "Failed to extend link" })
+  }
+}
+
+const revokeLink = (kind) => async (req, res) => {
+  const config = LINK_KINDS[kind]
+  const { id } = req.params
+  const { reason } = req.body
+
+  if (!reason || reason.trim().length < 3) {
+    return res.status(400).json({ success: false, message: "A reason of at least 3 characters is required" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM ${config.table} WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Link not found" })
+    }
+
+    const link = existing.rows[0]
+
+    if (link.revoked_at) {
+      return res.status(400).json({ success: false, message: "Link is already revoked" })
+    }
+
+    if (link[config.completedColumn]) {
+      return res.status(400).json({ success: false, message: config.completedMessage })
+    }
+
+    const result = await pool.query(
+      `UPDATE ${config.table}
+       SET active = false, revoked_at = NOW(), revoked_by = $1, revoke_reason = $2
+       WHERE id = $3
+       RETURNING *`,
+      [req.admin.id, reason.trim(), id],
+    )
+
+    await recordAuditEvent(req, {
+      action: `${config.entityType}.revoke`,
+      entityType: config.entityType,
+      entityId: id,
+      before: { active: link.active },
+      after: { active: false, revoke_reason: reason.trim() },
+    })
+
+    res.status(200).json({ success: true, message: "Link revoked", link: result.rows[0] })
+  } catch (error) {
+    console.error("Error revoking link:", error)
+    res.status(500).json({ success: false, message: "Failed to revoke link" })
+  }
+}
+
+// Every link ever issued to a client or candidate, newest first, with its audit trail
+const linkHistory = (kind) => async (req, res) => {
+  const config = LINK_KINDS[kind]
+  const { id } = req.params
+
+  try {
+    const owner = await pool.query(`SELECT id FROM ${config.ownerTable} WHERE id = $1`, [id])
+
+    if (owner.rows.length === 0) {
+      return res.status(404).json({ success: false, message: `${config.ownerName} not found` })
+    }
+
+    const result = await pool.query(
+      `SELECT l.*, ${linkStateSql(kind)} AS state, au.name AS revoked_by_name
+       FROM ${config.table} l
+       LEFT JOIN admin_users au ON au.id = l.revoked_by
+       WHERE l.${config.ownerColumn} = $1
+       ORDER BY l.created_at DESC, l.id DESC`,
+      [id],
+    )
+
+    const events = await pool.query(
+      `SELECT id, actor_email, action, entity_id, before_data, after_data, created_at
+       FROM audit_events
+       WHERE entity_type = $1 AND entity_id = ANY($2::TEXT[])
+       ORDER BY created_at, id`,
+      [config.entityType, result.rows.map((link) => String(link.id))],
+    )
+
+    const urlFor = kind === "client" ? clientLinkUrl : candidateLinkUrl
+
+    res.status(200).json({
+      success: true,
+      links: result.rows.map((link) => ({
+        ...link,
+        url: urlFor(link.token),
+        events: events.rows.filter((event) => event.entity_id === String(link.id)),
+      })),
+    })
+  } catch (error) {
+    console.error("Error fetching link history:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch link history" })
+  }
+}
+
+app.get("/api/admin/clients/:id/links", requireAdmin("finance"), linkHistory("client"))
+app.post("/api/admin/client-links/:id/extend", requireAdmin("finance"), extendLink("client"))
+app.post("/api/admin/client-links/:id/revoke", requireAdmin("finance"), revokeLink("client"))
+
+app.get("/api/admin/candidates/:id/links", requireAdmin("hr"), linkHistory("candidate"))
+app.post("/api/admin/candidate-links/:id/extend", requireAdmin("hr"), extendLink("candidate"))
+app.post("/api/admin/candidate-links/:id/revoke", requireAdmin("hr"), revokeLink("candidate"))
+
+// GENERAL PAYMENT LINK ROUTES
+
+// Payment links that are not tied to a client; the payer fills in their own details
+const PAYMENT_LINK_USE_COUNT = `(SELECT COUNT(*) FROM payment_registrations pr WHERE pr.payment_link_id = pl.id)::INTEGER AS use_count`
+
+// Why a general payment link cannot take a payment right now, or null if it can.
+// Expects the row with its use_count.
+const findPaymentLinkProblem = (link) => {
+  if (!link.active) return "This payment link is inactive"
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) return "This payment link has expired"
+  if (link.max_uses !== null && link.use_count >= link.max_uses) return "This payment link has reached its usage limit"
+  return null
+}
+
+const validatePaymentLink = (data, { partial = false } = {}) => {
+  const errors = {}
+  const has = (field) => !partial || data[field] !== undefined
+  const isSet = (field) => data[field] !== undefined && data[field] !== null && data[field] !== ""
+
+  if (has("label") && (!data.label || data.label.trim().length < 3)) errors.label = "Label must be at least 3 characters"
+  if (isSet("fixedAmount") && !(Number(data.fixedAmount) > 0)) errors.fixedAmount = "Fixed amount must be greater than 0"
+  if (isSet("minAmount") && !(Number(data.minAmount) > 0)) errors.minAmount = "Minimum amount must be greater than 0"
+  if (isSet("fixedAmount") && isSet("minAmount")) errors.amount = "Set either a fixed amount or a minimum amount, not both"
+  if (isSet("maxUses") && !(Number.isInteger(Number(data.maxUses)) && Number(data.maxUses) > 0))
+    errors.maxUses = "Max uses must be a positive whole number"
+  if (data.active !== undefined && typeof data.active !== "boolean") errors.active = "Active must be true or false"
+
+  return errors
+}
+
+// Blank optional values clear the column
+const optionalValue = (value) => (value === undefined || value === "" ? null : value)
+
+app.post("/api/admin/payment-links", requireAdmin("finance"), async (req, res) => {
+  const { label, fixedAmount, minAmount, maxUses, expiresAt, expiresInHours, active = true } = req.body
+
+  const errors = validatePaymentLink(req.body)
+
+  let expiry = { expiresAt: null }
+  if (optionalValue(expiresAt) !== null || optionalValue(expiresInHours) !== null) {
+    expiry = resolveExpiry({ expiresAt, hours: expiresInHours })
+    if (expiry.error) errors.expiresAt = expiry.error
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  try {
+    const token = crypto.randomBytes(24).toString("base64url")
+
+    const result = await pool.query(
+      `INSERT INTO payment_links (token, label, fixed_amount, min_amount, max_uses, expires_at, active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        token,
+        label.trim(),
+        optionalValue(fixedAmount),
+        optionalValue(minAmount),
+        optionalValue(maxUses),
+        expiry.expiresAt,
+        active,
+        req.admin.id,
+      ],
+    )
+
+    await recordAuditEvent(req, {
+      action: "payment_link.create",
+      entityType: "payment_link",
+      entityId: result.rows[0].id,
+      after: result.rows[0],
+    })
+
+    res.status(201).json({ success: true, paymentLink: { ...result.rows[0], use_count: 0 } })
+  } catch (error) {
+    console.error("Error creating payment link:", error)
+    res.status(500).json({ success: false, message: "Failed to create payment link" })
+  }
+})
+
+app.get("/api/admin/payment-links", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active, search } = req.query
+    const offset = (page - 1) * limit
+
+    let query = `
+      SELECT pl.*, ${PAYMENT_LINK_USE_COUNT}, COUNT(*) OVER() AS total_count
+      FROM payment_links pl
+    `
+
+    const params = []
+    const conditions = []
+
+    if (active !== undefined) {
+      conditions.push(`pl.active = $${params.length + 1}`)
+      params.push(active === "true")
+    }
+
+    if (search) {
+      conditions.push(`(pl.label ILIKE $${params.length + 1} OR pl.token = $${params.length + 2})`)
+      params.push(`%${search}%`, search)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
+    }
+
+    query += `
+      ORDER BY pl.created_at DESC, pl.id DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
+      success: true,
+      paymentLinks: result.rows.map((row) => {
+        const { total_count, ...link } = row
+        return { ...link, available: !findPaymentLinkProblem(link) }
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching payment links:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch payment links" })
+  }
+})
+
+app.get("/api/admin/payment-links/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const result = await pool.query(`SELECT pl.*, ${PAYMENT_LINK_USE_COUNT} FROM payment_links pl WHERE pl.id = $1`, [id])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Payment link not found" })
+    }
+
+    const payments = await pool.query(
+      `SELECT * FROM payment_registrations WHERE payment_link_id = $1 ORDER BY created_at DESC`,
+      [id],
+    )
+
+    res.status(200).json({
+      success: true,
+      paymentLink: { ...result.rows[0], available: !findPaymentLinkProblem(result.rows[0]) },
+      payments: payments.rows,
+    })
+  } catch (error) {
+    console.error("Error fetching payment link:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch payment link" })
+  }
+})
+
+// Partial update. Send null (or "") for fixedAmount, minAmount, maxUses or expiresAt to clear them.
+app.put("/api/admin/payment-links/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  const errors = validatePaymentLink(req.body, { partial: true })
+
+  const columns = {
+    label: "label",
+    fixedAmount: "fixed_amount",
+    minAmount: "min_amount",
+    maxUses: "max_uses",
+    expiresAt: "expires_at",
+    active: "active",
+  }
+
+  const values = {}
+  Object.keys(columns).forEach((field) => {
+    if (req.body[field] !== undefined) values[field] = optionalValue(req.body[field])
+  })
+  if (values.label) values.label = values.label.trim()
+
+  if (req.body.expiresInHours !== undefined || values.expiresAt) {
+    const expiry = resolveExpiry({ expiresAt: values.expiresAt, hours: req.body.expiresInHours })
+    if (expiry.error) errors.expiresAt = expiry.error
+    values.expiresAt = expiry.expiresAt
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ success: false, errors })
+  }
+
+  const fields = Object.keys(values)
+
+  if (fields.length === 0) {
+    return res.status(400).json({ success: false, message: "Nothing to update" })
+  }
+
+  try {
+    const existing = await pool.query(`SELECT * FROM payment_links WHERE id = $1`, [id])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Payment link not found" })
+    }
+
+    // Setting one kind of amount rule replaces the other
+    if (values.fixedAmount) values.minAmount = null
+    if (values.minAmount) values.fixedAmount = null
+    const updatedFields = Object.keys(values)
+
+    const assignments = updatedFields.map((field, index) => `${columns[field]} = $${index + 1}`)
+    const params = updatedFields.map((field) => values[field])
+
+    const result = await pool.query(
+      `UPDATE payment_links
+       SET ${assignments.join(", ")}, updated_at = NOW()
+       WHERE id = $${params.length + 1}
+       RETURNING *`,
+      [...params, id],
+    )
+
+    const before = {}
+    const after = {}
+    updatedFields.forEach((field) => {
+      before[columns[field]] = existing.rows[0][columns[field]]
+      after[columns[field]] = result.rows[0][columns[field]]
+    })
+
+    await recordAuditEvent(req, {
+      action: "payment_link.update",
+      entityType: "payment_link",
+      entityId: id,
+      before,
+      after,
+    })
+
+    res.status(200).json({ success: true, message: "Payment link updated", paymentLink: result.rows[0] })
+  } catch (error) {
+    console.error("Error updating payment link:", error)
+    res.status(500).json({ success: false, message: "Failed to update payment link" })
+  }
+})
+
+// Only links nobody has paid through can be deleted; used links are switched off instead
+app.delete("/api/admin/payment-links/:id", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
+
+  try {
+    const existing = await pool.query(`SELECT pl.*, ${PAYMENT_LINK_USE_COUNT} FROM payment_links pl WHERE pl.id = $1`, [
+      id,
+    ])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Payment link not found" })
+    }
+
+    if (existing.rows[0].use_count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This link already has payments against it; deactivate it instead",
+      })
+    }
+
+    await pool.query(`DELETE FROM payment_links WHERE id = $1`, [id])
+
+    await recordAuditEvent(req, {
+      action: "payment_link.delete",
+      entityType: "payment_link",
+      entityId: id,
+      before: existing.rows[0],
+    })
+
+    res.status(200).json({ success: true, message: "Payment link deleted" })
+  } catch (error) {
+    console.error("Error deleting payment link:", error)
+    res.status(500).json({ success: false, message: "Failed to delete payment link" })
+  }
+})
+
+// CLIENT PAYMENT ROUTES
+app.put("/api/admin/client-links/:clientId/toggle", requireAdmin("finance"), async (req, res) => {
+  const { clientId } = req.params
+  const { active } = req.body
+
+  try {
+    const existing = await pool.query(
+      `SELECT id, active FROM client_links WHERE client_id = $1 AND expires_at > NOW() AND revoked_at IS NULL`,
+      [clientId],
+    )
+
+    const result = await pool.query(
+      `UPDATE client_links 
+       SET active = $1 
+       WHERE client_id = $2 AND expires_at > NOW() AND revoked_at IS NULL
+       RETURNING *`,
+      [active, clientId],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No active link found for this client",
+      })
+    }
+
+    await recordAuditEvent(req, {
+      action: `client_link.${active ? "activate" : "deactivate"}`,
+      entityType: "client",
+      entityId: clientId,
+      before: { links: existing.rows },
+      after: { links: result.rows.map(({ id }) => ({ id, active: Boolean(active) })) },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Link ${active ? "activated" : "deactivated"}`,
+      link: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Error toggling link:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to toggle link status",
+    })
+  }
+})
+
+// What a client link bills: the milestone's amount and due date for milestone links,
+// otherwise the client's full payment amount due in 7 days
+const resolveLinkBilling = async (db, link) => {
+  const clientResult = await db.query(`SELECT * FROM clients WHERE id = $1`, [link.client_id])
+  const client = clientResult.rows[0] || null
+
+  let milestone = null
+  if (link.milestone_id) {
+    const milestoneResult = await db.query(`SELECT * FROM client_milestones WHERE id = $1`, [link.milestone_id])
+    milestone = milestoneResult.rows[0] || null
+  }
+
+  let dueDate = new Date()
+  dueDate.setDate(dueDate.getDate() + 7)
+  if (milestone && milestone.due_date) dueDate = milestone.due_date
+
+  return {
+    client,
+    milestone,
+    amount: milestone ? milestone.amount : client && client.payment_amount,
+    dueDate,
+  }
+}
+
+// Why a client link cannot take a payment right now, as { status, message }, or null if it can
+const findLinkPaymentProblem = (link, { client, milestone }) => {
+  if (link.payment_completed) {
+    return { status: 409, message: "A payment has already been submitted for this link" }
+  }
+
+  if (!link.active || new Date(link.expires_at) <= new Date()) {
+    return { status: 400, message: "This payment link has expired or is inactive" }
+  }
+
+  if (!client || client.archived_at) {
+    return { status: 404, message: "Client not found" }
+  }
+
+  if (milestone && ["paid", "cancelled"].includes(milestone.status)) {
+    return { status: 409, message: `This milestone is already ${milestone.status}` }
+  }
+
+  return null
+}
+
+// Create the registration for a payment through a client link and close the link. Runs inside the
+// caller's transaction, which must already hold the link row lock.
+const registerLinkPayment = async (db, link, { client, milestone, amount, dueDate }, options) => {
+  const { referenceId, receiptUrl = null, idempotencyKey = null, receipt = [null, null, null, null] } = options
+
+  const result = await db.query(
+    `INSERT INTO payment_registrations 
+     (client_id, client_name, project_name, project_id, zorvixe_id, amount, due_date, receipt_url, reference_id,
+      project_description, milestone_id, link_id, idempotency_key,
+      receipt_file_name, receipt_storage_key, receipt_file_size, receipt_mime_type)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+     RETURNING *`,
+    [
+      client.id,
+      client.name,
+      client.project_name,
+      client.project_id,
+      client.zorvixe_id,
+      amount,
+      dueDate,
+      receiptUrl,
+      referenceId,
+      client.project_description,
+      milestone ? milestone.id : null,
+      link.id,
+      idempotencyKey,
+      ...receipt,
+    ],
+  )
+
+  await db.query(
+    `UPDATE client_links 
+     SET active = false, payment_completed = true, reference_id = $1 
+     WHERE id = $2`,
+    [referenceId, link.id],
+  )
+
+  return result.rows[0]
+}
+
+app.get("/api/client-details/:token", async (req, res) => {
+  const { token } = req.params
+
+  try {
+    const linkResult = await pool.query(
+      `SELECT * FROM client_links 
+       WHERE token = $1 
+         AND active = true 
+         AND expires_at > NOW()`,
+      [token],
+    )
+
+    if (linkResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Link not found, expired, or inactive",
+      })
+    }
+
+    const link = linkResult.rows[0]
+    await recordLinkOpen("client", link.id)
+
+    const { client, milestone, amount, dueDate } = await resolveLinkBilling(pool, link)
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      client: {
+        ...client,
+        clientName: client.name,
+        clientId: client.id,
+        projectName: client.project_name,
+        projectId: client.project_id,
+        zorvixeId: client.zorvixe_id,
+        amount,
+        dueDate: dueDate,
+        projectDescription: client.project_description,
+        milestone,
+      },
+      linkId: link.id,
+    })
+  } catch (error) {
+    console.error("Error fetching client details:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch client details",
+    })
+  }
+})
+
+// Register a payment made through a link. For client links everything that is billed (client,
+// project, amount, due date) is looked up from the token; the browser only supplies the receipt,
+// either as a "receipt" file (multipart) or a receiptUrl.
+// Send an Idempotency-Key header (or idempotencyKey field) so a retried submission through the same
+// link returns the original registration's reference and status instead of creating a second one.
+// A key already used with another link is refused with 409.
+app.post("/api/payment/submit", acceptUpload(receiptUpload.single("receipt")), async (req, res) => {
+  const receiptFile = { key: req.file ? `receipts/${path.basename(req.file.path)}` : null, stored: false, saved: false }
+
+  // The temp file always goes; the stored copy only stays if a new registration points at it.
+  // Cleaning up once the handler is done covers aborted requests too, and cannot pull the file
+  // from under a registration that is still being committed.
+  try {
+    await submitPayment(req, res, receiptFile)
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {})
+      if (receiptFile.stored && !receiptFile.saved) await getStorage().remove(receiptFile.key).catch(() => {})
+    }
+  }
+})
+
+const submitPayment = async (req, res, receiptFile) => {
+  const { token, receiptUrl } = req.body
+  const idempotencyKey = req.get("Idempotency-Key") || req.body.idempotencyKey || null
+
+  if (!token) {
+    return res.status(400).json({ success: false, message: "Payment link token is required" })
+  }
+
+  if (!req.file && (!receiptUrl || !receiptUrl.trim())) {
+    return res.status(400).json({ success: false, message: "Receipt is required" })
+  }
+
+  // The stored type comes from the file's content, not from what the browser claimed
+  let receiptType = null
+  if (req.file) {
+    const inspection = await inspectFile(req.file.path, RECEIPT_MIME_TYPES)
+    if (inspection.error) {
+      return res.status(400).json({ success: false, message: "The receipt must be a PDF, PNG or JPEG file" })
+    }
+    receiptType = inspection.mimeType
+
+    // Stored before the link is locked, so a slow store does not hold the lock
+    try {
+      await getStorage().put(receiptFile.key, req.file.path, { contentType: receiptType })
+      receiptFile.stored = true
+    } catch (storeError) {
+      console.error("Error storing receipt:", storeError)
+      return res.status(500).json({ success: false, message: "Failed to store the receipt" })
+    }
+  }
+
+  const receipt = req.file
+    ? [req.file.originalname, receiptFile.key, req.file.size, receiptType]
+    : [null, null, null, null]
+
+  const referenceId = generatePaymentReferenceId()
+  const db = await pool.connect()
+
+  // The link the token resolved to, as the registration column that points at it
+  let linkScope = null
+
+  // The registration an earlier request with the same idempotency key created
+  const findExisting = async () => {
+    if (!idempotencyKey) return null
+    const result = await db.query(
+      `SELECT reference_id, status, link_id, payment_link_id FROM payment_registrations WHERE idempotency_key = $1`,
+      [idempotencyKey],
+    )
+    return result.rows[0] || null
+  }
+
+  // Replay it only to a request through the same link, and only its reference and status
+  const respondWithExisting = (existing) => {
+    if (!linkScope || existing[linkScope.column] !== linkScope.id) {
+      return res.status(409).json({
+        success: false,
+        message: "This idempotency key was already used with a different payment link",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payment registration already submitted",
+      referenceId: existing.reference_id,
+      status: existing.status,
+    })
+  }
+
+  try {
+    await db.query("BEGIN")
+
+    // Lock the link so two submissions through it cannot both go through. General-purpose payment
+    // links are locked the same way, which keeps concurrent submissions from overshooting their
+    // use limit.
+    const linkResult = await db.query(`SELECT * FROM client_links WHERE token = $1 FOR UPDATE`, [token])
+    let paymentLink = null
+
+    if (linkResult.rows.length > 0) {
+      linkScope = { column: "link_id", id: linkResult.rows[0].id }
+    } else {
+      const paymentLinkResult = await db.query(
+        `SELECT pl.*, ${PAYMENT_LINK_USE_COUNT} FROM payment_links pl WHERE pl.token = $1 FOR UPDATE`,
+        [token],
+      )
+
+      if (paymentLinkResult.rows.length === 0) {
+        await db.query("ROLLBACK")
+        return res.status(404).json({ success: false, message: "Payment link not found or inactive" })
+      }
+
+      paymentLink = paymentLinkResult.rows[0]
+      linkScope = { column: "payment_link_id", id: paymentLink.id }
+    }
+
+    const existing = await findExisting()
+    if (existing) {
+      await db.query("ROLLBACK")
+      return respondWithExisting(existing)
+    }
+
+    let registration
+
+    if (!paymentLink) {
+      const link = linkResult.rows[0]
+
+      const billing = await resolveLinkBilling(db, link)
+      const problem = findLinkPaymentProblem(link, billing)
+
+      if (problem) {
+        await db.query("ROLLBACK")
+        return res.status(problem.status).json({ success: false, message: problem.message })
+      }
+
+      registration = await registerLinkPayment(db, link, billing, { referenceId, receiptUrl, idempotencyKey, receipt })
+    } else {
+      // General-purpose payment links have no client record, so the payer supplies the details
+      const unavailable = findPaymentLinkProblem(paymentLink)
+
+      if (unavailable) {
+        await db.query("ROLLBACK")
+        return res.status(400).json({ success: false, message: unavailable })
+      }
+
+      const { clientName, projectName, projectId, zorvixeId, dueDate, projectDescription } = req.body
+      const amount = paymentLink.fixed_amount !== null ? paymentLink.fixed_amount : req.body.amount
+
+      const errors = {}
+      if (!clientName || clientName.trim().length < 3) errors.clientName = "Name must be at least 3 characters"
+      if (!projectName || !projectName.trim()) errors.projectName = "Project name is required"
+      if (!projectId || !projectId.trim()) errors.projectId = "Project ID is required"
+      if (!zorvixeId || !zorvixeId.trim()) errors.zorvixeId = "Zorvixe ID is required"
+      if (!(Number(amount) > 0)) errors.amount = "Amount must be greater than 0"
+      else if (paymentLink.min_amount !== null && Number(amount) < Number(paymentLink.min_amount))
+        errors.amount = `Amount must be at least ${paymentLink.min_amount}`
+      if (!dueDate || isNaN(new Date(dueDate).getTime())) errors.dueDate = "Valid due date is required"
+
+      if (Object.keys(errors).length > 0) {
+        await db.query("ROLLBACK")
+        return res.status(400).json({ success: false, errors })
+      }
+
+      const result = await db.query(
+        `INSERT INTO payment_registrations 
+         (client_name, project_name, project_id, zorvixe_id, amount, due_date, receipt_url, reference_id,
+          project_description, payment_link_id, idempotency_key,
+          receipt_file_name, receipt_storage_key, receipt_file_size, receipt_mime_type)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING *`,
+        [
+          clientName,
+          projectName,
+          projectId,
+          zorvixeId,
+          amount,
+          dueDate,
+          receiptUrl,
+          referenceId,
+          projectDescription,
+          paymentLink.id,
+          idempotencyKey,
+          ...receipt,
+        ],
+      )
+      registration = result.rows[0]
+    }
+
+    await db.query("COMMIT")
+    receiptFile.saved = true
+
+    await syncMilestoneStatus(registration.milestone_id)
+
+    res.status(201).json({
+      success: true,
+      message: "Payment registration submitted successfully",
+      referenceId,
+      data: registration,
+    })
+  } catch (error) {
+    await db.query("ROLLBACK").catch(() => {})
+
+    // A concurrent request with the same idempotency key won the race
+    if (error.code === "23505" && idempotencyKey) {
+      const existing = await findExisting().catch(() => null)
+      if (existing) return respondWithExisting(existing)
+    }
+
+    console.error("Database error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit payment registration",
+      error: error.message,
+    })
+  } finally {
+    db.release()
+  }
+}
+
+app.get("/api/admin/payments", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query
+    const offset = (page - 1) * limit
+
+    let query = `
+      SELECT pr.*, c.email as client_email, c.phone as client_phone,
+             COUNT(*) OVER() AS total_count 
+      FROM payment_registrations pr
+      LEFT JOIN clients c ON pr.client_id = c.id
+    `
+
+    const params = []
+    const conditions = []
+
+    if (status && status !== "all") {
+      conditions.push(`pr.status = $${params.length + 1}`)
+      params.push(status)
+    }
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(" AND ")}`
     }
 
+    query += `
+      ORDER BY pr.created_at DESC
+      LIMIT $${params.length + 1}
+      OFFSET $${params.length + 2}
+    `
+
+    params.push(limit, offset)
+
+    const result = await pool.query(query, params)
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
     res.status(200).json({
       success: true,
-      message: `Link ${active ? "activated" : "deactivated"}`,
-      link: result.rows[0],
+      payments: result.rows.map((row) => {
+        const { total_count, ...payment } = row
+        return payment
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
     })
   } catch (error) {
-    console.error("Error toggling candidate link:", error)
+    console.error("Error fetching payments:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to toggle link status",
+      message: "Failed to fetch payment registrations",
+      error: error.message,
     })
   }
 })
 
-// Get candidate details by token (check if link is valid, not PDF)
-app.get("/api/candidate-details/:token", async (req, res) => {
-  const { token } = req.params
-
+app.get("/api/admin/payments/:id", requireAdmin("finance"), async (req, res) => {
   try {
-    const linkResult = await pool.query(
-      `SELECT * FROM candidate_links 
-       WHERE token = $1 
-         AND active = true 
-         AND expires_at > NOW()`,
-      [token],
+    const { id } = req.params
+    const result = await pool.query(
+      `SELECT pr.*, c.email as client_email, c.phone as client_phone, c.company 
+       FROM payment_registrations pr
+       LEFT JOIN clients c ON pr.client_id = c.id
+       WHERE pr.id = $1`,
+      [id],
     )
 
-    if (linkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Link not found, expired, or inactive",
-      })
-    }
-
-    const link = linkResult.rows[0]
-    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [link.candidate_id])
-
-    if (candidateResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: "Candidate not found",
+        message: "Payment registration not found",
       })
     }
 
-    const candidate = candidateResult.rows[0]
-
-    // Check if already uploaded (PDF persists even if link expires)
-    const uploadResult = await pool.query(`SELECT * FROM candidate_uploads WHERE candidate_id = $1`, [candidate.id])
-
     res.status(200).json({
       success: true,
-      candidate: {
-        ...candidate,
-        hasUploaded: uploadResult.rows.length > 0,
-        uploadDetails: uploadResult.rows[0] || null,
-      },
-      linkId: link.id,
+      payment: result.rows[0],
     })
   } catch (error) {
-    console.error("Error fetching candidate details:", error)
+    console.error("Error fetching payment:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to fetch candidate details",
+      message: "Failed to fetch payment registration",
+      error: error.message,
     })
   }
 })
 
-// Upload candidate PDF (PDF stored permanently, only link expires)
-app.post("/api/candidate/upload/:token", upload.single("certificate"), async (req, res) => {
-  const { token } = req.params
+// View (inline) or download (?download=true) the receipt file attached to a payment
+app.get("/api/admin/payments/:id/receipt", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
 
   try {
-    // Verify token (only link expires, not the ability to access uploaded PDFs)
-    const linkResult = await pool.query(
-      `SELECT cl.*, c.* FROM candidate_links cl
-       JOIN candidates c ON cl.candidate_id = c.id
-       WHERE cl.token = $1 
-         AND cl.active = true 
-         AND cl.expires_at > NOW()`,
-      [token],
+    const result = await pool.query(
+      `SELECT reference_id, receipt_file_name, receipt_storage_key, receipt_mime_type
+       FROM payment_registrations
+       WHERE id = $1`,
+      [id],
     )
 
-    if (linkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Invalid or expired link",
-      })
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Payment registration not found" })
     }
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: "No file uploaded",
-      })
+    const payment = result.rows[0]
+
+    if (!payment.receipt_storage_key) {
+      return res.status(404).json({ success: false, message: "No receipt file uploaded for this payment" })
     }
 
-    const link = linkResult.rows[0]
-    const candidate = linkResult.rows[0]
+    const fileStream = await getStorage().get(payment.receipt_storage_key)
+
+    if (!fileStream) {
+      return res.status(404).json({ success: false, message: "File not found on server" })
+    }
+
+    const disposition = req.query.download === "true" ? "attachment" : "inline"
+    const fileName = `${payment.reference_id}-receipt${path.extname(payment.receipt_file_name)}`
+
+    res.setHeader("Content-Type", payment.receipt_mime_type)
+    res.setHeader("Content-Disposition", `${disposition}; filename="${fileName}"`)
+
+    await streamFile(fileStream, res)
+  } catch (error) {
+    console.error("Error fetching receipt:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch receipt" })
+  }
+})
+
+// Change a payment's status along with everything that follows from it: the milestone status,
+// the audit event and, on verification, the invoice. The status change stands even if the
+// invoice fails; it can be reissued through the invoice route. With fromStatus the change only
+// applies while the payment is still in that status. Returns null when nothing was updated.
+const updatePaymentStatus = async (req, id, status, { fromStatus = null, action = "payment.status_change" } = {}) => {
+  const existing = await pool.query(`SELECT status FROM payment_registrations WHERE id = $1`, [id])
+
+  if (existing.rows.length === 0) return null
+
+  const result = await pool.query(
+    `UPDATE payment_registrations 
+     SET status = $1 
+     WHERE id = $2 AND ($3::VARCHAR IS NULL OR status = $3)
+     RETURNING *`,
+    [status, id, fromStatus],
+  )
 
-    // Check if already uploaded
-    const existingUpload = await pool.query(`SELECT * FROM candidate_uploads WHERE candidate_id = $1`, [candidate.id])
+  if (result.rows.length === 0) return null
 
-    if (existingUpload.rows.length > 0) {
-      // Delete the uploaded file since candidate already has a file
-      fs.unlinkSync(req.file.path)
+  const invoice = await finishPaymentStatusChange(req, result.rows[0], existing.rows[0].status, action)
+
+  return { payment: result.rows[0], invoice }
+}
+
+// The follow-up to a committed status change, split out so callers that change the status inside
+// their own transaction can run it after COMMIT. Returns the invoice issued on verification.
+const finishPaymentStatusChange = async (req, payment, previousStatus, action) => {
+  const { status } = payment
+
+  await syncMilestoneStatus(payment.milestone_id)
+
+  await recordAuditEvent(req, {
+    action,
+    entityType: "payment_registration",
+    entityId: payment.id,
+    before: { status: previousStatus },
+    after: { status },
+  })
+
+  if (status !== previousStatus && ["verified", "rejected"].includes(status) && payment.client_id) {
+    const clientResult = await pool.query(`SELECT email FROM clients WHERE id = $1`, [payment.client_id])
+    await queueEmail(
+      "payment.status_changed",
+      clientResult.rows[0] && clientResult.rows[0].email,
+      { payment },
+      { entityType: "payment_registration", entityId: payment.id },
+    )
+  }
+
+  let invoice = null
+  if (status === "verified") {
+    try {
+      invoice = await issueInvoice(payment.id)
+    } catch (invoiceError) {
+      console.error("Error issuing invoice:", invoiceError)
+    }
+  }
+
+  return invoice
+}
+
+app.put("/api/admin/payments/:id/status", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { status } = req.body
+
+    if (!["pending", "verified", "rejected"].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: "Certificate already uploaded for this candidate",
+        message: "Invalid status value",
       })
     }
 
-    // Save upload details (PDF stored permanently)
-    const uploadResult = await pool.query(
-      `INSERT INTO candidate_uploads (candidate_id, file_name, file_path, file_size)
-       VALUES ($1, $2, $3, $4)
-       RETURNING *`,
-      [candidate.id, req.file.originalname, req.file.path, req.file.size],
-    )
-
-    // Mark link as completed (link can expire, but PDF remains)
-    await pool.query(`UPDATE candidate_links SET upload_completed = true WHERE id = $1`, [link.id])
+    const updated = await updatePaymentStatus(req, id, status)
 
-    // Update candidate status
-    await pool.query(`UPDATE candidates SET status = 'documents_uploaded' WHERE id = $1`, [candidate.id])
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment registration not found",
+      })
+    }
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Certificate uploaded successfully. The file will be stored permanently.",
-      upload: uploadResult.rows[0],
+      message: "Payment status updated",
+      payment: updated.payment,
+      invoice: updated.invoice,
     })
   } catch (error) {
-    console.error("Error uploading file:", error)
-    // Clean up uploaded file on error
-    if (req.file) {
-      fs.unlinkSync(req.file.path)
-    }
+    console.error("Error updating payment status:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to upload certificate",
+      message: "Failed to update payment status",
       error: error.message,
     })
   }
 })
 
-// Download candidate PDF (admin only - PDFs never expire)
-app.get("/api/admin/candidate-download/:candidateId", async (req, res) => {
-  const { candidateId } = req.params
+// INVOICES
+// Issue the invoice for a verified payment, or return the one it already has. The invoice
+// number, PDF and row are produced inside one transaction so a failure never burns a number.
+const issueInvoice = async (paymentId) => {
+  const db = await pool.connect()
+  let tempPath = null
+  let storageKey = null
 
   try {
-    const uploadResult = await pool.query(
-      `SELECT cu.*, c.name as candidate_name 
-       FROM candidate_uploads cu
-       JOIN candidates c ON cu.candidate_id = c.id
-       WHERE cu.candidate_id = $1`,
-      [candidateId],
-    )
+    await db.query("BEGIN")
 
-    if (uploadResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "No uploaded file found for this candidate",
-      })
-    }
+    const paymentResult = await db.query(`SELECT * FROM payment_registrations WHERE id = $1 FOR UPDATE`, [paymentId])
+    const payment = paymentResult.rows[0]
 
-    const upload = uploadResult.rows[0]
-    const filePath = path.resolve(upload.file_path)
+    if (!payment || payment.status !== "verified") {
+      throw new Error("Invoices can only be issued for verified payments")
+    }
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        success: false,
-        message: "File not found on server",
-      })
+    const existing = await db.query(`SELECT * FROM invoices WHERE payment_id = $1`, [paymentId])
+    if (existing.rows.length > 0) {
+      await db.query("ROLLBACK")
+      return existing.rows[0]
     }
 
-    res.setHeader("Content-Type", "application/pdf")
-    res.setHeader("Content-Disposition", `attachment; filename="${upload.candidate_name}-certificates.pdf"`)
+    // Row lock on the year's counter serializes concurrent invoices
+    const year = new Date().getFullYear()
+    const counterResult = await db.query(
+      `INSERT INTO invoice_counters (year, last_number) VALUES ($1, 1)
+       ON CONFLICT (year) DO UPDATE SET last_number = invoice_counters.last_number + 1
+       RETURNING last_number`,
+      [year],
+    )
+    const invoiceNumber = `INV-${year}-${String(counterResult.rows[0].last_number).padStart(5, "0")}`
 
-    const fileStream = fs.createReadStream(filePath)
-    fileStream.pipe(res)
-  } catch (error) {
-    console.error("Error downloading file:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to download file",
+    const clientResult = await db.query(`SELECT * FROM clients WHERE id = $1`, [payment.client_id])
+    const milestoneResult = await db.query(`SELECT * FROM client_milestones WHERE id = $1`, [payment.milestone_id])
+
+    const invoice = { invoice_number: invoiceNumber, issued_at: new Date(), amount: payment.amount }
+    tempPath = path.join(os.tmpdir(), `invoice-${invoiceNumber}-${Date.now()}.pdf`)
+
+    await renderInvoicePdf(tempPath, {
+      invoice,
+      payment,
+      client: clientResult.rows[0] || null,
+      milestone: milestoneResult.rows[0] || null,
     })
+
+    // Stored before the insert so a failed upload takes the invoice number back with it
+    await getStorage().put(`invoices/invoice-${invoiceNumber}.pdf`, tempPath, { contentType: "application/pdf" })
+    storageKey = `invoices/invoice-${invoiceNumber}.pdf`
+
+    const result = await db.query(
+      `INSERT INTO invoices (invoice_number, payment_id, client_id, amount, storage_key, file_size, issued_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [invoiceNumber, payment.id, payment.client_id, payment.amount, storageKey, fs.statSync(tempPath).size, invoice.issued_at],
+    )
+
+    await db.query("COMMIT")
+    storageKey = null
+    return result.rows[0]
+  } catch (error) {
+    await db.query("ROLLBACK").catch(() => {})
+    if (storageKey) await getStorage().remove(storageKey).catch(() => {})
+    throw error
+  } finally {
+    if (tempPath) fs.unlink(tempPath, () => {})
+    db.release()
   }
-})
+}
 
-// Update candidate status
-app.put("/api/admin/candidates/:id/status", async (req, res) => {
+const sendInvoiceFile = async (res, invoice) => {
+  const fileStream = await getStorage().get(invoice.storage_key)
+
+  if (!fileStream) {
+    return res.status(404).json({ success: false, message: "File not found on server" })
+  }
+
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoice_number}.pdf"`)
+  await streamFile(fileStream, res)
+}
+
+// Issue the invoice for a verified payment that does not have one yet
+app.post("/api/admin/payments/:id/invoice", requireAdmin("finance"), async (req, res) => {
   const { id } = req.params
-  const { status } = req.body
 
-  const validStatuses = ["pending", "documents_uploaded", "approved", "rejected"]
+  try {
+    const paymentResult = await pool.query(`SELECT status FROM payment_registrations WHERE id = $1`, [id])
 
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid status value",
+    if (paymentResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: "Payment registration not found" })
+    }
+
+    if (paymentResult.rows[0].status !== "verified") {
+      return res.status(400).json({ success: false, message: "Invoices can only be issued for verified payments" })
+    }
+
+    const invoice = await issueInvoice(id)
+
+    await recordAuditEvent(req, {
+      action: "invoice.issue",
+      entityType: "payment_registration",
+      entityId: id,
+      after: invoice,
     })
+
+    res.status(201).json({ success: true, invoice })
+  } catch (error) {
+    console.error("Error issuing invoice:", error)
+    res.status(500).json({ success: false, message: "Failed to issue invoice" })
   }
+})
+
+app.get("/api/admin/payments/:id/invoice", requireAdmin("finance"), async (req, res) => {
+  const { id } = req.params
 
   try {
-    const result = await pool.query(`UPDATE candidates SET status = $1 WHERE id = $2 RETURNING *`, [status, id])
+    const result = await pool.query(`SELECT * FROM invoices WHERE payment_id = $1`, [id])
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Candidate not found",
-      })
+      return res.status(404).json({ success: false, message: "No invoice issued for this payment" })
     }
 
-    res.status(200).json({
-      success: true,
-      message: "Candidate status updated",
-      candidate: result.rows[0],
-    })
+    await sendInvoiceFile(res, result.rows[0])
   } catch (error) {
-    console.error("Error updating candidate status:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to update candidate status",
-    })
+    console.error("Error downloading invoice:", error)
+    res.status(500).json({ success: false, message: "Failed to download invoice" })
   }
 })
 
-// CLIENT PAYMENT ROUTES
-app.put("/api/admin/client-links/:clientId/toggle", async (req, res) => {
-  const { clientId } = req.params
-  const { active } = req.body
-
+// Client-facing invoice download through their payment link. The link is normally inactive by
+// now (it closes once a payment is submitted), so only the token itself is checked.
+app.get("/api/client-invoice/:token", async (req, res) => {
+  const { token } = req.params
+
   try {
     const result = await pool.query(
-      `UPDATE client_links 
-       SET active = $1 
-       WHERE client_id = $2 AND expires_at > NOW()
-       RETURNING *`,
-      [active, clientId],
+      `SELECT i.*
+       FROM client_links cl
+       JOIN payment_registrations pr ON pr.link_id = cl.id
+       JOIN invoices i ON i.payment_id = pr.id
+       WHERE cl.token = $1 AND pr.status = 'verified'
+       ORDER BY i.issued_at DESC
+       LIMIT 1`,
+      [token],
     )
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "No active link found for this client",
-      })
+      return res.status(404).json({ success: false, message: "No invoice available for this link yet" })
     }
 
-    res.status(200).json({
-      success: true,
-      message: `Link ${active ? "activated" : "deactivated"}`,
-      link: result.rows[0],
-    })
+    await sendInvoiceFile(res, result.rows[0])
   } catch (error) {
-    console.error("Error toggling link:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to toggle link status",
-    })
+    console.error("Error downloading invoice:", error)
+    res.status(500).json({ success: false, message: "Failed to download invoice" })
   }
 })
 
-app.get("/api/client-details/:token", async (req, res) => {
-  const { token } = req.params
+// PAYMENT GATEWAY ROUTES
+
+// Start an online payment for a client link. The amount always comes from the link's billing.
+app.post("/api/payment/orders", async (req, res) => {
+  const { token } = req.body
+
+  if (!isGatewayConfigured()) {
+    return res.status(503).json({ success: false, message: "Online payments are not available" })
+  }
+
+  if (!token) {
+    return res.status(400).json({ success: false, message: "Payment link token is required" })
+  }
 
   try {
-    const linkResult = await pool.query(
-      `SELECT * FROM client_links 
-       WHERE token = $1 
-         AND active = true 
-         AND expires_at > NOW()`,
-      [token],
-    )
+    const linkResult = await pool.query(`SELECT * FROM client_links WHERE token = $1`, [token])
 
     if (linkResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Link not found, expired, or inactive",
-      })
+      return res.status(404).json({ success: false, message: "Link not found, expired, or inactive" })
     }
 
     const link = linkResult.rows[0]
-    const clientResult = await pool.query(`SELECT * FROM clients WHERE id = $1`, [link.client_id])
+    const billing = await resolveLinkBilling(pool, link)
+    const problem = findLinkPaymentProblem(link, billing)
 
-    if (clientResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Client not found",
+    if (problem) {
+      return res.status(problem.status).json({ success: false, message: problem.message })
+    }
+
+    let gatewayOrder
+    try {
+      gatewayOrder = await createGatewayOrder({
+        amount: billing.amount,
+        receipt: `link-${link.id}`,
+        notes: { linkId: link.id, clientId: billing.client.id },
       })
+    } catch (gatewayError) {
+      console.error("Error creating gateway order:", gatewayError)
+      return res.status(502).json({ success: false, message: "The payment gateway is not responding, please try again" })
     }
 
-    const client = clientResult.rows[0]
-    const dueDate = new Date()
-    dueDate.setDate(dueDate.getDate() + 7)
+    const result = await pool.query(
+      `INSERT INTO payment_orders (gateway_order_id, link_id, amount, currency)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [gatewayOrder.id, link.id, billing.amount, gatewayOrder.currency],
+    )
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      client: {
-        ...client,
-        clientName: client.name,
-        clientId: client.id,
-        projectName: client.project_name,
-        projectId: client.project_id,
-        zorvixeId: client.zorvixe_id,
-        amount: client.payment_amount,
-        dueDate: dueDate,
-        projectDescription: client.project_description,
+      order: {
+        id: result.rows[0].gateway_order_id,
+        amount: toMinorUnits(billing.amount),
+        currency: result.rows[0].currency,
+        keyId: process.env.PAYMENT_GATEWAY_KEY_ID || null,
+        checkoutUrl: gatewayOrder.checkout_url || null,
       },
-      linkId: link.id,
     })
   } catch (error) {
-    console.error("Error fetching client details:", error)
+    console.error("Error creating payment order:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to fetch client details",
+      message: "Failed to create payment order",
     })
   }
 })
 
-app.post("/api/payment/submit", async (req, res) => {
-  const {
-    clientId,
-    clientName,
-    projectName,
-    projectId,
-    zorvixeId,
-    amount,
-    dueDate,
-    receiptUrl,
-    projectDescription,
-    linkId,
-  } = req.body
+// Gateway callback. Events look like
+//   { "id": "evt_...", "event": "payment.captured" | "payment.failed",
+//     "payload": { "orderId": "...", "paymentId": "...", "amount": 150000, "currency": "INR", "reason": "..." } }
+// and are signed with PAYMENT_GATEWAY_WEBHOOK_SECRET. Gateways redeliver until they get a 2xx, so
+// repeats of an event we already handled are acknowledged without doing anything.
+app.post("/api/payment/webhook", async (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.get(SIGNATURE_HEADER))) {
+    return res.status(401).json({ success: false, message: "Invalid webhook signature" })
+  }
 
-  const year = new Date().getFullYear()
-  const randomString = Math.random().toString(36).substr(2, 6).toUpperCase()
-  const referenceId = `PAY-${year}-${randomString}`
+  const { event, payload = {} } = req.body
+
+  if (!["payment.captured", "payment.failed"].includes(event)) {
+    return res.status(200).json({ success: true, message: "Event ignored" })
+  }
+
+  // The gateway's payment id is the idempotency key for the registration, so a capture without
+  // one cannot be recorded safely
+  if (event === "payment.captured" && !["string", "number"].includes(typeof payload.paymentId)) {
+    return res.status(400).json({ success: false, message: "paymentId is required for captured payments" })
+  }
+
+  const db = await pool.connect()
+  let registration = null
 
   try {
-    const result = await pool.query(
-      `INSERT INTO payment_registrations 
-       (client_id, client_name, project_name, project_id, zorvixe_id, amount, due_date, receipt_url, reference_id, project_description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-      [
-        clientId,
-        clientName,
-        projectName,
-        projectId,
-        zorvixeId,
-        amount,
-        dueDate,
-        receiptUrl,
-        referenceId,
-        projectDescription,
-      ],
-    )
+    await db.query("BEGIN")
+
+    const orderResult = await db.query(`SELECT * FROM payment_orders WHERE gateway_order_id = $1 FOR UPDATE`, [
+      payload.orderId,
+    ])
+
+    if (orderResult.rows.length === 0) {
+      // Not one of ours, or from another environment sharing the gateway account. A 404 would
+      // only have the gateway retry it forever.
+      await db.query("ROLLBACK")
+      console.warn(`Payment webhook ${event} for unknown order ${payload.orderId}`)
+      return res.status(200).json({ success: true, message: "Unknown order ignored" })
+    }
 
-    if (linkId) {
-      await pool.query(
-        `UPDATE client_links 
-         SET active = false, payment_completed = true, reference_id = $1 
-         WHERE id = $2`,
-        [referenceId, linkId],
+    const order = orderResult.rows[0]
+
+    if (order.status !== "created") {
+      await db.query("ROLLBACK")
+      return res.status(200).json({ success: true, message: "Event already processed" })
+    }
+
+    const markOrder = (status, failureReason, paymentId = null) =>
+      db.query(
+        `UPDATE payment_orders
+         SET status = $1, failure_reason = $2, payment_id = $3, gateway_payment_id = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [status, failureReason, paymentId, payload.paymentId || null, order.id],
       )
+
+    if (event === "payment.failed") {
+      await markOrder("failed", payload.reason || "Payment failed at the gateway")
+      await db.query("COMMIT")
+      return res.status(200).json({ success: true, message: "Payment failure recorded" })
     }
 
-    res.status(201).json({
+    if (Number(payload.amount) !== toMinorUnits(order.amount) || (payload.currency && payload.currency !== order.currency)) {
+      // Money arrived, but not what we billed - leave it for finance to sort out
+      await markOrder("review", `Captured ${payload.amount} ${payload.currency || ""} does not match the order`.trim())
+      await db.query("COMMIT")
+      return res.status(200).json({ success: true, message: "Payment held for review" })
+    }
+
+    const linkResult = await db.query(`SELECT * FROM client_links WHERE id = $1 FOR UPDATE`, [order.link_id])
+    const link = linkResult.rows[0]
+
+    if (link.payment_completed) {
+      await markOrder("review", "The link was already paid when this capture arrived")
+      await db.query("COMMIT")
+      return res.status(200).json({ success: true, message: "Payment held for review" })
+    }
+
+    const billing = await resolveLinkBilling(db, link)
+    registration = await registerLinkPayment(db, link, billing, {
+      referenceId: generatePaymentReferenceId(),
+      idempotencyKey: `gateway:${payload.paymentId}`,
+    })
+
+    await markOrder("paid", null, registration.id)
+    await db.query("COMMIT")
+  } catch (error) {
+    await db.query("ROLLBACK")
+    console.error("Error processing payment webhook:", error)
+    return res.status(500).json({ success: false, message: "Failed to process webhook" })
+  } finally {
+    db.release()
+  }
+
+  try {
+    await updatePaymentStatus(req, registration.id, "verified", {
+      fromStatus: "pending",
+      action: "payment.gateway_verify",
+    })
+  } catch (error) {
+    // The payment is recorded; finance can still verify it by hand
+    console.error("Error verifying gateway payment:", error)
+  }
+
+  res.status(200).json({ success: true, message: "Payment recorded", referenceId: registration.reference_id })
+})
+
+app.get("/api/admin/payment-orders", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query
+    const offset = (page - 1) * limit
+
+    const result = await pool.query(
+      `SELECT po.*, cl.client_id, pr.reference_id, COUNT(*) OVER() AS total_count
+       FROM payment_orders po
+       JOIN client_links cl ON cl.id = po.link_id
+       LEFT JOIN payment_registrations pr ON pr.id = po.payment_id
+       WHERE $1::VARCHAR IS NULL OR po.status = $1
+       ORDER BY po.created_at DESC, po.id DESC
+       LIMIT $2
+       OFFSET $3`,
+      [status || null, limit, offset],
+    )
+
+    const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(total / limit)
+
+    res.status(200).json({
       success: true,
-      message: "Payment registration submitted successfully",
-      referenceId,
-      data: result.rows[0],
+      orders: result.rows.map((row) => {
+        const { total_count, ...order } = row
+        return order
+      }),
+      pagination: {
+        total,
+        totalPages,
+        currentPage: Number(page),
+        limit: Number(limit),
+      },
     })
   } catch (error) {
-    console.error("Database error:", error)
+    console.error("Error fetching payment orders:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to submit payment registration",
+      message: "Failed to fetch payment orders",
       error: error.message,
     })
   }
 })
 
-app.get("/api/admin/payments", async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status } = req.query
-    const offset = (page - 1) * limit
+// BANK RECONCILIATION ROUTES
 
-    let query = `
-      SELECT pr.*, c.email as client_email, c.phone as client_phone,
-             COUNT(*) OVER() AS total_count 
-      FROM payment_registrations pr
-      LEFT JOIN clients c ON pr.client_id = c.id
-    `
+const RECONCILIATION_OUTCOMES = ["matched", "review", "unmatched", "skipped"]
 
-    const params = []
-    const conditions = []
+// Upload a bank statement CSV. Rows that match a pending registration by reference, amount and
+// date are verified straight away; the rest are kept on the run for manual review.
+app.post(
+  "/api/admin/reconciliations",
+  requireAdmin("finance"),
+  acceptUpload(statementUpload.single("statement")),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "Statement CSV file is required" })
+    }
 
-    if (status && status !== "all") {
-      conditions.push(`pr.status = $${params.length + 1}`)
-      params.push(status)
+    // Optional header overrides for exports whose column names we do not recognise
+    const columns = {
+      date: req.body.dateColumn,
+      amount: req.body.amountColumn,
+      debit: req.body.debitColumn,
+      reference: req.body.referenceColumn,
+      description: req.body.descriptionColumn,
     }
 
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(" AND ")}`
+    let entries
+    try {
+      entries = readStatement(req.file.buffer.toString("utf8"), columns)
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: parseError.message })
     }
 
-    query += `
-      ORDER BY pr.created_at DESC
-      LIMIT $${params.length + 1}
-      OFFSET $${params.length + 2}
-    `
+    const db = await pool.connect()
 
-    params.push(limit, offset)
+    try {
+      const items = await reconcileStatement(entries)
+
+      await db.query("BEGIN")
+
+      // Verify the matches in the same transaction as the run, so a failed save does not leave
+      // payments verified with no record of the statement row that verified them
+      const verifiedPayments = []
+      for (const item of items) {
+        if (item.outcome !== "matched") continue
+
+        const verifyResult = await db.query(
+          `UPDATE payment_registrations SET status = 'verified' WHERE id = $1 AND status = 'pending' RETURNING *`,
+          [item.paymentId],
+        )
+
+        if (verifyResult.rows.length === 0) {
+          // Verified or rejected by someone else since we loaded the pending list
+          item.outcome = "review"
+          item.candidatePaymentIds = [item.paymentId]
+          item.paymentId = null
+          item.reason = `${item.reason}; registration is no longer pending`
+          continue
+        }
+
+        verifiedPayments.push(verifyResult.rows[0])
+      }
+
+      const counts = {}
+      RECONCILIATION_OUTCOMES.forEach((outcome) => {
+        counts[outcome] = items.filter((item) => item.outcome === outcome).length
+      })
+
+      const runResult = await db.query(
+        `INSERT INTO reconciliation_runs
+           (admin_id, file_name, total_rows, matched_count, review_count, unmatched_count, skipped_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [req.admin.id, req.file.originalname, items.length, counts.matched, counts.review, counts.unmatched, counts.skipped],
+      )
+      const run = runResult.rows[0]
+
+      const savedItems = []
+      for (const item of items) {
+        const itemResult = await db.query(
+          `INSERT INTO reconciliation_items
+             (run_id, row_number, txn_date, amount, description, reference, outcome, payment_id, candidate_payment_ids, reason)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *`,
+          [
+            run.id,
+            item.rowNumber,
+            item.txnDate,
+            item.amount,
+            item.description || null,
+            item.reference || null,
+            item.outcome,
+            item.paymentId,
+            JSON.stringify(item.candidatePaymentIds),
+            item.reason,
+          ],
+        )
+        savedItems.push(itemResult.rows[0])
+      }
+
+      await db.query("COMMIT")
+
+      for (const payment of verifiedPayments) {
+        try {
+          await finishPaymentStatusChange(req, payment, "pending", "payment.auto_verify")
+        } catch (followUpError) {
+          console.error("Error finishing automatic verification:", followUpError)
+        }
+      }
+
+      await recordAuditEvent(req, {
+        action: "reconciliation.run",
+        entityType: "reconciliation_run",
+        entityId: run.id,
+        after: { fileName: run.file_name, ...counts },
+      })
+
+      res.status(201).json({
+        success: true,
+        message: `Reconciled ${items.length} statement rows: ${counts.matched} verified, ${counts.review} need review`,
+        run,
+        items: savedItems,
+      })
+    } catch (error) {
+      await db.query("ROLLBACK")
+      console.error("Error reconciling statement:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to reconcile statement",
+        error: error.message,
+      })
+    } finally {
+      db.release()
+    }
+  },
+)
+
+app.get("/api/admin/reconciliations", requireAdmin("finance"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+    const offset = (page - 1) * limit
+
+    const result = await pool.query(
+      `SELECT rr.*, au.name AS admin_name, COUNT(*) OVER() AS total_count
+       FROM reconciliation_runs rr
+       LEFT JOIN admin_users au ON au.id = rr.admin_id
+       ORDER BY rr.created_at DESC, rr.id DESC
+       LIMIT $1
+       OFFSET $2`,
+      [limit, offset],
+    )
 
-    const result = await pool.query(query, params)
     const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0
     const totalPages = Math.ceil(total / limit)
 
     res.status(200).json({
       success: true,
-      payments: result.rows.map((row) => {
-        const { total_count, ...payment } = row
-        return payment
+      runs: result.rows.map((row) => {
+        const { total_count, ...run } = row
+        return run
       }),
       pagination: {
         total,
@@ -918,90 +6583,193 @@ app.get("/api/admin/payments", async (req, res) => {
       },
     })
   } catch (error) {
-    console.error("Error fetching payments:", error)
+    console.error("Error fetching reconciliation runs:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to fetch payment registrations",
+      message: "Failed to fetch reconciliation runs",
       error: error.message,
     })
   }
 })
 
-app.get("/api/admin/payments/:id", async (req, res) => {
+app.get("/api/admin/reconciliations/:id", requireAdmin("finance"), async (req, res) => {
   try {
     const { id } = req.params
-    const result = await pool.query(
-      `SELECT pr.*, c.email as client_email, c.phone as client_phone, c.company 
-       FROM payment_registrations pr
-       LEFT JOIN clients c ON pr.client_id = c.id
-       WHERE pr.id = $1`,
+    const { outcome } = req.query
+
+    if (outcome && !RECONCILIATION_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${RECONCILIATION_OUTCOMES.join(", ")}`,
+      })
+    }
+
+    const runResult = await pool.query(
+      `SELECT rr.*, au.name AS admin_name
+       FROM reconciliation_runs rr
+       LEFT JOIN admin_users au ON au.id = rr.admin_id
+       WHERE rr.id = $1`,
       [id],
     )
 
-    if (result.rows.length === 0) {
+    if (runResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: "Payment registration not found",
+        message: "Reconciliation run not found",
       })
     }
 
+    const itemsResult = await pool.query(
+      `SELECT ri.*, pr.reference_id AS payment_reference_id, pr.client_name, pr.status AS payment_status
+       FROM reconciliation_items ri
+       LEFT JOIN payment_registrations pr ON pr.id = ri.payment_id
+       WHERE ri.run_id = $1 AND ($2::VARCHAR IS NULL OR ri.outcome = $2)
+       ORDER BY ri.row_number`,
+      [id, outcome || null],
+    )
+
     res.status(200).json({
       success: true,
-      payment: result.rows[0],
+      run: runResult.rows[0],
+      items: itemsResult.rows,
     })
   } catch (error) {
-    console.error("Error fetching payment:", error)
+    console.error("Error fetching reconciliation run:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to fetch payment registration",
+      message: "Failed to fetch reconciliation run",
       error: error.message,
     })
   }
 })
 
-app.put("/api/admin/payments/:id/status", async (req, res) => {
+// Resolve a row held for review: verify the registration it belongs to, or dismiss it with a reason.
+// The payment must be one of the row's candidates; matching any other needs override: true and a
+// reason, both kept in the audit trail.
+app.put("/api/admin/reconciliation-items/:id/resolve", requireAdmin("finance"), async (req, res) => {
+  const { decision } = req.body || {}
+  const override = (req.body || {}).override === true
+  const reason = typeof (req.body || {}).reason === "string" ? req.body.reason.trim() : ""
+  const paymentId = Number((req.body || {}).paymentId)
+
+  if (!["verified", "dismissed"].includes(decision)) {
+    return res.status(400).json({ success: false, message: "decision must be 'verified' or 'dismissed'" })
+  }
+
+  if (decision === "verified" && (!Number.isInteger(paymentId) || paymentId <= 0)) {
+    return res.status(400).json({ success: false, message: "paymentId is required to verify a statement row" })
+  }
+
+  if (decision === "dismissed" && reason.length < 3) {
+    return res.status(400).json({ success: false, message: "A reason of at least 3 characters is required to dismiss a statement row" })
+  }
+
+  if (override && reason.length < 3) {
+    return res.status(400).json({ success: false, message: "A reason of at least 3 characters is required to override the suggested payments" })
+  }
+
+  const db = await pool.connect()
+
   try {
-    const { id } = req.params
-    const { status } = req.body
+    await db.query("BEGIN")
 
-    if (!["pending", "verified", "rejected"].includes(status)) {
+    const existing = await db.query(`SELECT * FROM reconciliation_items WHERE id = $1 FOR UPDATE`, [req.params.id])
+
+    if (existing.rows.length === 0) {
+      await db.query("ROLLBACK")
+      return res.status(404).json({ success: false, message: "Statement row not found" })
+    }
+
+    const before = existing.rows[0]
+
+    if (before.outcome !== "review" || before.resolution) {
+      await db.query("ROLLBACK")
+      return res.status(409).json({ success: false, message: "Only open rows held for review can be resolved" })
+    }
+
+    const candidatePaymentIds = (before.candidate_payment_ids || []).map(Number)
+    const overridden = decision === "verified" && !candidatePaymentIds.includes(paymentId)
+
+    if (overridden && !override) {
+      await db.query("ROLLBACK")
       return res.status(400).json({
         success: false,
-        message: "Invalid status value",
+        message: "Payment is not one of the suggested matches for this statement row",
+        candidatePaymentIds,
       })
     }
 
-    const result = await pool.query(
-      `UPDATE payment_registrations 
-       SET status = $1 
-       WHERE id = $2
+    let payment = null
+    if (decision === "verified") {
+      const verifyResult = await db.query(
+        `UPDATE payment_registrations SET status = 'verified' WHERE id = $1 AND status = 'pending' RETURNING *`,
+        [paymentId],
+      )
+
+      if (verifyResult.rows.length === 0) {
+        await db.query("ROLLBACK")
+        return res.status(409).json({ success: false, message: "Payment registration not found or no longer pending" })
+      }
+
+      payment = verifyResult.rows[0]
+    }
+
+    const result = await db.query(
+      `UPDATE reconciliation_items
+       SET resolution = $1, resolution_reason = $2, payment_id = COALESCE($3, payment_id),
+           resolved_by = $4, resolved_at = NOW()
+       WHERE id = $5
        RETURNING *`,
-      [status, id],
+      [decision, reason || null, payment ? payment.id : null, req.admin.id, before.id],
     )
+    const item = result.rows[0]
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Payment registration not found",
-      })
+    await db.query("COMMIT")
+
+    let invoice = null
+    if (payment) {
+      try {
+        invoice = await finishPaymentStatusChange(req, payment, "pending", "payment.reconcile_verify")
+      } catch (followUpError) {
+        console.error("Error finishing reconciliation verification:", followUpError)
+      }
     }
 
+    await recordAuditEvent(req, {
+      action: "reconciliation_item.resolve",
+      entityType: "reconciliation_item",
+      entityId: item.id,
+      before: { resolution: null, paymentId: before.payment_id, candidatePaymentIds, amount: before.amount },
+      after: {
+        resolution: item.resolution,
+        reason: item.resolution_reason,
+        paymentId: item.payment_id,
+        override: overridden,
+        paymentAmount: payment ? payment.amount : null,
+      },
+    })
+
     res.status(200).json({
       success: true,
-      message: "Payment status updated",
-      payment: result.rows[0],
+      message: decision === "verified" ? "Statement row matched and payment verified" : "Statement row dismissed",
+      item,
+      payment,
+      invoice,
     })
   } catch (error) {
-    console.error("Error updating payment status:", error)
+    await db.query("ROLLBACK")
+    console.error("Error resolving reconciliation item:", error)
     res.status(500).json({
       success: false,
-      message: "Failed to update payment status",
+      message: "Failed to resolve statement row",
       error: error.message,
     })
+  } finally {
+    db.release()
   }
 })
 
-app.get("/api/admin/payments/search", async (req, res) => {
+app.get("/api/admin/payments/search", requireAdmin("finance"), async (req, res) => {
   try {
     const { query } = req.query
 
@@ -1041,11 +6809,15 @@ app.get("/api/admin/payments/search", async (req, res) => {
   }
 })
 
+// Public view of a general payment link: whether it can be used, and what amount it expects
 app.get("/api/payment-link/:token", async (req, res) => {
   const { token } = req.params
 
   try {
-    const result = await pool.query(`SELECT * FROM payment_links WHERE token = $1`, [token])
+    const result = await pool.query(
+      `SELECT pl.*, ${PAYMENT_LINK_USE_COUNT} FROM payment_links pl WHERE pl.token = $1`,
+      [token],
+    )
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -1054,9 +6826,17 @@ app.get("/api/payment-link/:token", async (req, res) => {
       })
     }
 
+    const link = result.rows[0]
+    const unavailable = findPaymentLinkProblem(link)
+
     res.status(200).json({
       success: true,
-      active: true,
+      active: !unavailable,
+      message: unavailable || undefined,
+      label: link.label,
+      fixedAmount: link.fixed_amount,
+      minAmount: link.min_amount,
+      expiresAt: link.expires_at,
     })
   } catch (error) {
     console.error("Error fetching link status:", error)
@@ -1067,7 +6847,44 @@ app.get("/api/payment-link/:token", async (req, res) => {
   }
 })
 
-// Start server
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`)
+// Start server - refuses to run against a database with pending migrations
+const startServer = async () => {
+  const pending = await getPendingMigrations()
+
+  if (pending.length > 0) {
+    console.error(`Database has ${pending.length} pending migration(s): ${pending.map((m) => m.name).join(", ")}`)
+    console.error("Run `npm run migrate` before starting the server")
+    process.exit(1)
+  }
+
+  // Skipping the malware scan has to be a deliberate choice, not a missing variable
+  if (!isScannerConfigured()) {
+    console.error(SCANNER ? `Unknown UPLOAD_SCANNER: ${SCANNER}` : "UPLOAD_SCANNER is not set")
+    console.error("Set UPLOAD_SCANNER to clamav, or to none to accept uploads without a malware scan")
+    process.exit(1)
+  }
+
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`)
+  })
+
+  if (!isSecretConfigured()) {
+    console.warn("FILE_URL_SECRET is not set: signed download URLs stop working when the server restarts")
+  }
+
+  if (!isFormSecretConfigured()) {
+    console.warn("CONTACT_FORM_SECRET is not set: contact forms loaded before a restart are quarantined when submitted")
+  }
+
+  if (SCANNER === "none") {
+    console.warn("UPLOAD_SCANNER is none: candidate uploads are not scanned for malware")
+  }
+
+  startOutboxWorker()
+  startScheduler()
+}
+
+startServer().catch((err) => {
+  console.error("Failed to start server:", err)
+  process.exit(1)
 })
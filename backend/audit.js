@@ -0,0 +1,26 @@
+const pool = require("./db")
+
+// Record an admin action. A failure to write the audit row is logged but never
+// fails the request that triggered it, since the change itself has already been made.
+const recordAuditEvent = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_events (actor_id, actor_email, action, entity_type, entity_id, before_data, after_data, ip_address)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        req.admin ? req.admin.id : null,
+        req.admin ? req.admin.email : null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        req.ip,
+      ],
+    )
+  } catch (error) {
+    console.error("Error recording audit event:", error)
+  }
+}
+
+module.exports = { recordAuditEvent }
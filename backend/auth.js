@@ -0,0 +1,104 @@
+const crypto = require("crypto")
+const pool = require("./db")
+
+const ADMIN_ROLES = ["superadmin", "finance", "hr"]
+const SESSION_TTL_HOURS = Number(process.env.ADMIN_SESSION_TTL_HOURS) || 12
+
+// Passwords are stored as "<salt>:<scrypt hash>"
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex")
+  return `${salt}:${hash}`
+}
+
+const verifyPassword = (password, storedHash) => {
+  const [salt, hash] = (storedHash || "").split(":")
+  if (!salt || !hash) return false
+
+  const expected = Buffer.from(hash, "hex")
+  const actual = crypto.scryptSync(password, salt, expected.length)
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+// Session tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const createSession = async (adminId, ipAddress) => {
+  const token = crypto.randomBytes(32).toString("hex")
+  const expiresAt = new Date()
+  expiresAt.setHours(expiresAt.getHours() + SESSION_TTL_HOURS)
+
+  await pool.query(
+    `INSERT INTO admin_sessions (admin_id, token_hash, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [adminId, hashToken(token), ipAddress, expiresAt],
+  )
+
+  return { token, expiresAt }
+}
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ")
+  return scheme === "Bearer" && token ? token : null
+}
+
+// Guard for admin routes. Superadmins pass every check, other admins need one of the given roles.
+// Called without roles it only requires a valid session.
+const requireAdmin =
+  (...roles) =>
+  async (req, res, next) => {
+    const token = getBearerToken(req)
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      })
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT s.id AS session_id, a.id, a.name, a.email, a.role
+         FROM admin_sessions s
+         JOIN admin_users a ON s.admin_id = a.id
+         WHERE s.token_hash = $1
+           AND s.revoked_at IS NULL
+           AND s.expires_at > NOW()
+           AND a.active = true`,
+        [hashToken(token)],
+      )
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired session",
+        })
+      }
+
+      const admin = result.rows[0]
+
+      if (roles.length > 0 && admin.role !== "superadmin" && !roles.includes(admin.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to perform this action",
+        })
+      }
+
+      req.admin = admin
+      next()
+    } catch (error) {
+      console.error("Error authenticating admin:", error)
+      res.status(500).json({
+        success: false,
+        message: "Failed to authenticate",
+      })
+    }
+  }
+
+module.exports = {
+  ADMIN_ROLES,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  requireAdmin,
+}
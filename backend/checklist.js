@@ -0,0 +1,84 @@
+const pool = require("./db")
+const { queueAdminEmail } = require("./mailer")
+const { isScanPassed } = require("./filescan")
+
+// Positions without a checklist of their own ask for the single certificates PDF, as onboarding
+// always has
+const DEFAULT_DOCUMENT_CHECKLIST = [
+  { document_type: "certificate", label: "Certificates", description: null, required: true, sort_order: 0 },
+]
+
+const getDocumentChecklist = async (position) => {
+  const result = await pool.query(
+    `SELECT document_type, label, description, required, sort_order
+     FROM document_requirements
+     WHERE LOWER(position) = LOWER($1)
+     ORDER BY sort_order, id`,
+    [position || ""],
+  )
+  return result.rows.length > 0 ? result.rows : DEFAULT_DOCUMENT_CHECKLIST
+}
+
+// The candidate's checklist with the current version uploaded against each item. Complete once
+// every required item has an upload that has not been rejected and has passed the malware scan;
+// one still waiting for the scanner does not count yet.
+const getDocumentProgress = async (candidate) => {
+  const checklist = await getDocumentChecklist(candidate.position)
+  const uploads = await pool.query(
+    `SELECT * FROM candidate_uploads WHERE candidate_id = $1 AND superseded_at IS NULL`,
+    [candidate.id],
+  )
+
+  const items = checklist.map((item) => ({
+    documentType: item.document_type,
+    label: item.label,
+    description: item.description,
+    required: item.required,
+    upload: uploads.rows.find((upload) => upload.document_type === item.document_type) || null,
+  }))
+
+  const required = items.filter((item) => item.required)
+  const uploadedRequired = required.filter(
+    (item) => item.upload && item.upload.status !== "rejected" && isScanPassed(item.upload),
+  ).length
+
+  return {
+    items,
+    requiredCount: required.length,
+    uploadedCount: uploadedRequired,
+    percentComplete: required.length > 0 ? Math.round((uploadedRequired / required.length) * 100) : 100,
+    complete: uploadedRequired === required.length,
+  }
+}
+
+// Record a complete checklist: the link is marked done (it can still expire, the files stay), the
+// candidate moves to documents_uploaded and HR is told. Without a linkId the candidate's latest
+// link is marked.
+const markChecklistComplete = async (candidate, documents, { linkId = null } = {}) => {
+  await pool.query(
+    `UPDATE candidate_links SET upload_completed = true
+     WHERE id = COALESCE($1, (
+       SELECT id FROM candidate_links WHERE candidate_id = $2 ORDER BY created_at DESC, id DESC LIMIT 1
+     ))`,
+    [linkId, candidate.id],
+  )
+
+  await pool.query(
+    `UPDATE candidates SET status = 'documents_uploaded' WHERE id = $1 AND status IN ('pending', 'link_expired')`,
+    [candidate.id],
+  )
+
+  await queueAdminEmail(
+    "hr",
+    "candidate.documents_uploaded",
+    { candidate, documents },
+    { entityType: "candidate", entityId: candidate.id },
+  )
+}
+
+module.exports = {
+  DEFAULT_DOCUMENT_CHECKLIST,
+  getDocumentChecklist,
+  getDocumentProgress,
+  markChecklistComplete,
+}
@@ -0,0 +1,11 @@
+const { Pool } = require("pg")
+
+// PostgreSQL setup
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false,
+  },
+})
+
+module.exports = pool
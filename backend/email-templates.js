@@ -0,0 +1,194 @@
+// Email templates. Each takes the event's data and returns { subject, text, html }.
+const COMPANY_NAME = process.env.COMPANY_NAME || "Zorvixe Technologies"
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+const formatAmount = (amount) => `INR ${Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2 })}`
+
+const formatDateTime = (value) => new Date(value).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" })
+
+// Wrap plain paragraphs (and an optional call-to-action link) into the text and HTML bodies
+const layout = (subject, paragraphs, action = null) => {
+  const text = [...paragraphs, action ? `${action.label}: ${action.url}` : null, `— ${COMPANY_NAME}`]
+    .filter(Boolean)
+    .join("\n\n")
+
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`).join("\n    ")}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="background: #1a56db; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(action.label)}</a></p>` : ""}
+    <p style="color: #666;">${escapeHtml(COMPANY_NAME)}</p>
+  </body>
+</html>`
+
+  return { subject, text, html }
+}
+
+const templates = {
+  "contact.new": ({ contact }) =>
+    layout(`New enquiry: ${contact.subject}`, [
+      `${contact.name} (${contact.email}, ${contact.phone}) sent a new enquiry through the website.`,
+      `Subject: ${contact.subject}\n\n${contact.message}`,
+    ]),
+
+  "client_link.created": ({ client, url, amount, expiresAt, milestone }) =>
+    layout(
+      `Payment link for ${client.project_name}`,
+      [
+        `Hello ${client.name},`,
+        `Here is your payment link for ${milestone ? `the "${milestone.title}" milestone of ` : ""}${client.project_name} (${client.project_id}).`,
+        `Amount due: ${formatAmount(amount)}. The link is valid until ${formatDateTime(expiresAt)}.`,
+      ],
+      { label: "Make a payment", url },
+    ),
+
+  "candidate_link.created": ({ candidate, url, expiresAt }) =>
+    layout(
+      "Complete your onboarding documents",
+      [
+        `Hello ${candidate.name},`,
+        `Welcome aboard! Please upload your onboarding documents for the ${candidate.position} position using the link below.`,
+        `The link is valid until ${formatDateTime(expiresAt)}.`,
+      ],
+      { label: "Upload documents", url },
+    ),
+
+  "client_link.expiring": ({ client, url, amount, expiresAt, milestone }) =>
+    layout(
+      `Reminder: your payment link for ${client.project_name} expires soon`,
+      [
+        `Hello ${client.name},`,
+        `This is a reminder that the payment link for ${milestone ? `the "${milestone.title}" milestone of ` : ""}${client.project_name} expires on ${formatDateTime(expiresAt)}.`,
+        `Amount due: ${formatAmount(amount)}. If you have already paid, please submit your receipt through the link.`,
+      ],
+      { label: "Make a payment", url },
+    ),
+
+  "candidate_link.expiring": ({ candidate, url, expiresAt }) =>
+    layout(
+      "Reminder: your onboarding link expires soon",
+      [
+        `Hello ${candidate.name},`,
+        `We have not received all of your documents yet. Your upload link expires on ${formatDateTime(expiresAt)}.`,
+      ],
+      { label: "Upload documents", url },
+    ),
+
+  "candidate.application_received": ({ candidate, position }) =>
+    layout(`We received your application for ${position.title}`, [
+      `Hello ${candidate.name},`,
+      `Thank you for applying for the ${position.title} position. Your application reference is ${candidate.candidate_id}.`,
+      "Our team will review your resume and get back to you.",
+    ]),
+
+  "candidate.applied": ({ candidate, position }) =>
+    layout(`New application: ${position.title}`, [
+      `${candidate.name} (${candidate.email}, ${candidate.phone}) applied for ${position.title}${position.location ? ` (${position.location})` : ""}.`,
+      `Candidate ID: ${candidate.candidate_id}. Their resume is ready for review in the admin panel.`,
+    ]),
+
+  "candidate.documents_uploaded": ({ candidate, documents }) =>
+    layout(`Documents uploaded: ${candidate.name}`, [
+      `${candidate.name} (${candidate.candidate_id}, ${candidate.position}) has uploaded every required document:`,
+      documents.items
+        .filter((item) => item.upload)
+        .map((item) => `- ${item.label}: ${item.upload.file_name}`)
+        .join("\n"),
+      "They are ready for review in the admin panel.",
+    ]),
+
+  "candidate.document_rejected": ({ candidate, documentLabel, reason, url, expiresAt }) =>
+    layout(
+      `Please re-upload your ${documentLabel}`,
+      [
+        `Hello ${candidate.name},`,
+        `We reviewed the ${documentLabel} you uploaded and could not accept it:\n${reason}`,
+        `Please upload a corrected copy using the link below. The link is valid until ${formatDateTime(expiresAt)}.`,
+      ],
+      { label: "Upload documents", url },
+    ),
+
+  "interview.scheduled": ({ candidate, interview, stageLabel, rescheduled }) =>
+    layout(`${rescheduled ? "Interview rescheduled" : "Interview scheduled"}: ${stageLabel}`, [
+      `Hello ${candidate.name},`,
+      `${rescheduled ? "Your interview has been moved" : "Your interview has been scheduled"} for the ${candidate.position} position.`,
+      `Round: ${stageLabel}\nWhen: ${formatDateTime(interview.scheduled_at)} (${interview.duration_minutes} minutes)${interview.location ? `\nWhere: ${interview.location}` : ""}`,
+      "Please reply to this email if the time does not work for you.",
+    ]),
+
+  "interview.assigned": ({ candidate, interviewer, interview, stageLabel, rescheduled }) =>
+    layout(`${rescheduled ? "Interview moved" : "You are interviewing"}: ${candidate.name}`, [
+      `Hello ${interviewer.name},`,
+      `${rescheduled ? "An interview you are running has changed." : "You have been assigned an interview."}`,
+      `Candidate: ${candidate.name} (${candidate.candidate_id}, ${candidate.position})\nRound: ${stageLabel}\nWhen: ${formatDateTime(interview.scheduled_at)} (${interview.duration_minutes} minutes)${interview.location ? `\nWhere: ${interview.location}` : ""}`,
+      "Submit your scorecard in the admin panel once the interview is over.",
+    ]),
+
+  "interview.cancelled": ({ candidate, interview }) =>
+    layout("Interview cancelled", [
+      `Hello ${candidate.name},`,
+      `Your interview on ${formatDateTime(interview.scheduled_at)} for the ${candidate.position} position has been cancelled.`,
+      "We will be in touch if there is anything further.",
+    ]),
+
+  "offer.sent": ({ candidate, offer, url }) =>
+    layout(
+      `Your offer from ${COMPANY_NAME}`,
+      [
+        `Hello ${candidate.name},`,
+        `We are delighted to offer you the position of ${offer.position}. Your offer letter is on the page linked below, where you can accept or decline it.`,
+        `Please respond by ${formatDateTime(offer.expires_at)}.`,
+      ],
+      { label: "View your offer", url },
+    ),
+
+  "offer.withdrawn": ({ candidate, offer }) =>
+    layout(`Your offer for ${offer.position} has been withdrawn`, [
+      `Hello ${candidate.name},`,
+      `The offer we sent you for the ${offer.position} position has been withdrawn:\n${offer.withdraw_reason}`,
+      "Please reply to this email if you have any questions.",
+    ]),
+
+  "offer.responded": ({ candidate, offer }) =>
+    layout(`Offer ${offer.status}: ${candidate.name}`, [
+      `${candidate.name} (${candidate.candidate_id}) has ${offer.status} the offer for ${offer.position} at ${formatAmount(offer.salary)}.`,
+      offer.decline_reason ? `Reason given:\n${offer.decline_reason}` : null,
+      `Responded on ${formatDateTime(offer.responded_at)} from ${offer.response_ip || "an unknown address"}.`,
+    ].filter(Boolean)),
+
+  "offer.expired": ({ candidate, offer }) =>
+    layout(`Offer expired: ${candidate.name}`, [
+      `${candidate.name} (${candidate.candidate_id}) did not respond to the offer for ${offer.position} before it expired on ${formatDateTime(offer.expires_at)}.`,
+      "They are back to approved, so a new offer can be made from the admin panel.",
+    ]),
+
+  "payment.status_changed": ({ payment }) =>
+    layout(
+      payment.status === "verified"
+        ? `Payment received: ${payment.reference_id}`
+        : `Payment ${payment.status}: ${payment.reference_id}`,
+      [
+        `Hello ${payment.client_name},`,
+        payment.status === "verified"
+          ? `We have verified your payment of ${formatAmount(payment.amount)} for ${payment.project_name} (reference ${payment.reference_id}). Thank you!`
+          : `Your payment of ${formatAmount(payment.amount)} for ${payment.project_name} (reference ${payment.reference_id}) is now marked ${payment.status}.`,
+        payment.status === "rejected"
+          ? "We could not match this payment with our records. Please reply to this email with your transaction details."
+          : null,
+      ].filter(Boolean),
+    ),
+}
+
+const renderTemplate = (name, data) => {
+  const template = templates[name]
+  if (!template) throw new Error(`Unknown email template: ${name}`)
+  return template(data)
+}
+
+module.exports = { renderTemplate }
@@ -0,0 +1,229 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const net = require("net")
+const pool = require("./db")
+const { getStorage } = require("./storage")
+
+// Candidate documents are stored under this key prefix until the scanner clears them; only then
+// are they moved to CANDIDATE_PREFIX where admins can download them
+const QUARANTINE_PREFIX = "quarantine/"
+const CANDIDATE_PREFIX = "candidates/"
+
+// "clamav" talks to a clamd daemon over CLAMAV_SOCKET (unix socket) or CLAMAV_HOST:CLAMAV_PORT.
+// "none" skips scanning. There is no default: the server refuses to start until one is chosen.
+const SCANNER = process.env.UPLOAD_SCANNER || null
+const CLAMAV_TIMEOUT_MS = Number(process.env.CLAMAV_TIMEOUT_MS) || 30000
+const CLAMAV_CHUNK_SIZE = 64 * 1024
+
+// Leading bytes of the file types we accept
+const SIGNATURES = [
+  { mimeType: "application/pdf", bytes: Buffer.from("%PDF-") },
+  { mimeType: "image/png", bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimeType: "image/jpeg", bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+]
+
+// How much of each end of a PDF to read. Writers may put junk before the header and after the
+// trailer, and readers tolerate up to 1KB of it.
+const PDF_SLACK_BYTES = 1024
+
+const readRange = async (filePath, start, length) => {
+  const handle = await fs.promises.open(filePath, "r")
+  try {
+    const buffer = Buffer.alloc(length)
+    const { bytesRead } = await handle.read(buffer, 0, length, start)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+}
+
+// A PDF needs its header near the start and a cross-reference pointer and end-of-file marker
+// near the end. Anything renamed to .pdf fails at least one of these.
+const looksLikePdf = async (filePath, size) => {
+  const head = await readRange(filePath, 0, PDF_SLACK_BYTES)
+  if (!/^%PDF-\d\.\d/m.test(head.toString("latin1"))) return false
+
+  const tailStart = Math.max(0, size - PDF_SLACK_BYTES)
+  const tail = (await readRange(filePath, tailStart, size - tailStart)).toString("latin1")
+  return tail.includes("startxref") && tail.includes("%%EOF")
+}
+
+// Work out the real type of a file from its content, ignoring the name and the mimetype the
+// browser sent. Returns null when it is none of the types we know.
+const detectFileType = async (filePath) => {
+  const { size } = await fs.promises.stat(filePath)
+  const head = await readRange(filePath, 0, PDF_SLACK_BYTES)
+
+  const signature = SIGNATURES.find(({ bytes }) => head.subarray(0, bytes.length).equals(bytes))
+  if (signature && signature.mimeType !== "application/pdf") return signature.mimeType
+
+  // PDF headers do not have to sit at byte 0
+  if (await looksLikePdf(filePath, size)) return "application/pdf"
+  return null
+}
+
+const hashStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256")
+    stream
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject)
+  })
+
+const hashFile = (filePath) => hashStream(fs.createReadStream(filePath))
+
+// Check an uploaded file's content against the allowed types.
+// Returns { mimeType, sha256 } or { error }.
+const inspectFile = async (filePath, allowedTypes) => {
+  const mimeType = await detectFileType(filePath)
+
+  if (!mimeType || !allowedTypes.includes(mimeType)) {
+    return { error: "The file's content does not match an allowed file type" }
+  }
+
+  return { mimeType, sha256: await hashFile(filePath) }
+}
+
+// SCANNERS
+// A scanner is { name, scanStream(stream) } where scanStream resolves to { clean, signature } and
+// rejects when the file could not be scanned at all.
+
+// Stream the file to clamd with the INSTREAM command: length-prefixed chunks, then a zero length
+const clamavScanner = {
+  name: "clamav",
+  scanStream: (stream) =>
+    new Promise((resolve, reject) => {
+      const socket = process.env.CLAMAV_SOCKET
+        ? net.createConnection({ path: process.env.CLAMAV_SOCKET })
+        : net.createConnection({ host: process.env.CLAMAV_HOST || "localhost", port: Number(process.env.CLAMAV_PORT) || 3310 })
+      let reply = ""
+
+      socket.setTimeout(CLAMAV_TIMEOUT_MS, () => socket.destroy(new Error("ClamAV scan timed out")))
+      socket.on("error", (error) => {
+        stream.destroy()
+        reject(error)
+      })
+      socket.on("data", (chunk) => (reply += chunk.toString()))
+      socket.on("end", () => {
+        // "stream: OK", "stream: <signature> FOUND" or "<message> ERROR"
+        const result = reply.replace(/\0/g, "").trim()
+        const found = result.match(/^stream: (.+) FOUND$/)
+
+        if (result === "stream: OK") resolve({ clean: true, signature: null })
+        else if (found) resolve({ clean: false, signature: found[1] })
+        else reject(new Error(`Unexpected ClamAV reply: ${result || "(empty)"}`))
+      })
+
+      socket.on("connect", () => {
+        socket.write("zINSTREAM\0")
+        stream.on("data", (data) => {
+          // clamd refuses chunks over its StreamMaxLength setting, so keep each one small
+          for (let offset = 0; offset < data.length; offset += CLAMAV_CHUNK_SIZE) {
+            const chunk = data.subarray(offset, offset + CLAMAV_CHUNK_SIZE)
+            const length = Buffer.alloc(4)
+            length.writeUInt32BE(chunk.length)
+            socket.write(Buffer.concat([length, chunk]))
+          }
+        })
+        stream.on("end", () => socket.write(Buffer.alloc(4)))
+        stream.on("error", (error) => socket.destroy(error))
+      })
+    }),
+}
+
+const noScanner = {
+  name: "none",
+  scanStream: async (stream) => {
+    stream.destroy()
+    return { clean: true, signature: null }
+  },
+}
+
+const scanners = { clamav: clamavScanner, none: noScanner }
+
+const isScannerConfigured = () => Object.keys(scanners).includes(SCANNER)
+
+const getScanner = () => {
+  const scanner = scanners[SCANNER]
+  if (!scanner) throw new Error(`Unknown UPLOAD_SCANNER: ${SCANNER}`)
+  return scanner
+}
+
+// Scan a quarantined candidate upload and record the outcome:
+//   clean / skipped  the file moves out of quarantine
+//   infected         the file is deleted and the upload rejected, so the candidate can upload
+//                    a new version
+//   error            the file stays quarantined and the scan job retries it later
+// Returns the updated upload row.
+const scanCandidateUpload = async (upload) => {
+  const scanner = getScanner()
+  const storage = getStorage()
+  let outcome
+
+  try {
+    const stream = await storage.get(upload.storage_key)
+    if (!stream) throw new Error("File missing from storage")
+    outcome = await scanner.scanStream(stream)
+  } catch (error) {
+    console.error(`Error scanning upload ${upload.id}:`, error.message)
+    const result = await pool.query(
+      `UPDATE candidate_uploads SET scan_status = 'error', scan_result = $1, scanned_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [error.message, upload.id],
+    )
+    return result.rows[0]
+  }
+
+  if (!outcome.clean) {
+    await storage.remove(upload.storage_key)
+    const result = await pool.query(
+      `UPDATE candidate_uploads
+       SET scan_status = 'infected', scan_result = $1, scanned_at = NOW(),
+           status = 'rejected', review_reason = 'The file failed the malware scan', reviewed_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [outcome.signature, upload.id],
+    )
+
+    // The checklist is no longer complete, so let the candidate back in to replace the file
+    await pool.query(
+      `UPDATE candidates SET status = 'pending' WHERE id = $1 AND status = 'documents_uploaded'`,
+      [upload.candidate_id],
+    )
+    await pool.query(
+      `UPDATE candidate_links SET upload_completed = false
+       WHERE candidate_id = $1 AND active = true AND revoked_at IS NULL AND expires_at > NOW()`,
+      [upload.candidate_id],
+    )
+    return result.rows[0]
+  }
+
+  let storageKey = upload.storage_key
+  if (storageKey.startsWith(QUARANTINE_PREFIX)) {
+    storageKey = CANDIDATE_PREFIX + storageKey.slice(QUARANTINE_PREFIX.length)
+    await storage.move(upload.storage_key, storageKey)
+  }
+
+  const result = await pool.query(
+    `UPDATE candidate_uploads SET scan_status = $1, scan_result = NULL, scanned_at = NOW(), storage_key = $2
+     WHERE id = $3 RETURNING *`,
+    [scanner.name === "none" ? "skipped" : "clean", storageKey, upload.id],
+  )
+  return result.rows[0]
+}
+
+// Uploads an admin may download or accept
+const isScanPassed = (upload) => ["clean", "skipped"].includes(upload.scan_status)
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  SCANNER,
+  detectFileType,
+  hashStream,
+  hashFile,
+  inspectFile,
+  isScannerConfigured,
+  getScanner,
+  scanCandidateUpload,
+  isScanPassed,
+}
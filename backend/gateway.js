@@ -0,0 +1,60 @@
+const crypto = require("crypto")
+
+// Online payments go through whichever gateway PAYMENT_GATEWAY_URL points at. Gateways are
+// expected to speak this small protocol (scripts/fake-gateway.js implements it for local testing):
+//   POST {PAYMENT_GATEWAY_URL}/orders   { amount, currency, receipt, notes } -> { id, ... }
+//   POST {our}/api/payment/webhook      event JSON, signed in the X-Gateway-Signature header
+// Amounts are in the currency's minor unit (paise), as most gateways expect.
+const GATEWAY_URL = process.env.PAYMENT_GATEWAY_URL
+const GATEWAY_KEY_ID = process.env.PAYMENT_GATEWAY_KEY_ID || ""
+const GATEWAY_KEY_SECRET = process.env.PAYMENT_GATEWAY_KEY_SECRET || ""
+const WEBHOOK_SECRET = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET
+const CURRENCY = process.env.PAYMENT_CURRENCY || "INR"
+
+const SIGNATURE_HEADER = "X-Gateway-Signature"
+
+const isGatewayConfigured = () => Boolean(GATEWAY_URL && WEBHOOK_SECRET)
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100)
+
+const createGatewayOrder = async ({ amount, receipt, notes }) => {
+  const response = await fetch(`${GATEWAY_URL.replace(/\/$/, "")}/orders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Basic ${Buffer.from(`${GATEWAY_KEY_ID}:${GATEWAY_KEY_SECRET}`).toString("base64")}`,
+    },
+    body: JSON.stringify({ amount: toMinorUnits(amount), currency: CURRENCY, receipt, notes }),
+  })
+
+  const body = await response.json().catch(() => ({}))
+
+  if (!response.ok || !body.id) {
+    throw new Error(`Gateway order creation failed (${response.status}): ${body.message || "no order id returned"}`)
+  }
+
+  return { ...body, currency: body.currency || CURRENCY }
+}
+
+// Hex HMAC-SHA256 of the exact request body bytes
+const signWebhookPayload = (rawBody, secret = WEBHOOK_SECRET) =>
+  crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!WEBHOOK_SECRET || !rawBody || !signature) return false
+
+  const expected = Buffer.from(signWebhookPayload(rawBody))
+  const received = Buffer.from(String(signature))
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+module.exports = {
+  CURRENCY,
+  SIGNATURE_HEADER,
+  isGatewayConfigured,
+  toMinorUnits,
+  createGatewayOrder,
+  signWebhookPayload,
+  verifyWebhookSignature,
+}
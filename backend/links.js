@@ -0,0 +1,50 @@
+// Public pages that client and candidate links point at
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "https://zorvixetechnologies.onrender.com").replace(/\/$/, "")
+
+// How long new links last unless the admin picks an expiry
+const CLIENT_LINK_EXPIRY_HOURS = Number(process.env.CLIENT_LINK_EXPIRY_HOURS) || 30 * 24
+const CANDIDATE_LINK_EXPIRY_HOURS = Number(process.env.CANDIDATE_LINK_EXPIRY_HOURS) || 5
+const OFFER_LINK_EXPIRY_HOURS = Number(process.env.OFFER_LINK_EXPIRY_HOURS) || 7 * 24
+const MAX_LINK_EXPIRY_HOURS = 365 * 24
+
+const clientLinkUrl = (token) => `${PUBLIC_BASE_URL}/payment/${token}`
+
+const candidateLinkUrl = (token) => `${PUBLIC_BASE_URL}/onboarding/${token}`
+
+const offerLinkUrl = (token) => `${PUBLIC_BASE_URL}/offer/${token}`
+
+// Work out a link expiry from an explicit expiresAt, or a number of hours counted from `from`.
+// Without either, defaultHours is used (if given). Returns { expiresAt } or { error }.
+const resolveExpiry = ({ expiresAt, hours }, { defaultHours = null, from = new Date() } = {}) => {
+  let result
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== "") {
+    result = new Date(expiresAt)
+    if (isNaN(result.getTime())) return { error: "expiresAt must be a valid date" }
+  } else if (hours !== undefined && hours !== null && hours !== "") {
+    if (!(Number(hours) > 0)) return { error: "Expiry must be a positive number of hours" }
+    result = new Date(from.getTime() + Number(hours) * 60 * 60 * 1000)
+  } else if (defaultHours) {
+    result = new Date(from.getTime() + defaultHours * 60 * 60 * 1000)
+  } else {
+    return { error: "Either expiresAt or a number of hours is required" }
+  }
+
+  if (result <= new Date()) return { error: "Expiry must be in the future" }
+
+  if (result - new Date() > MAX_LINK_EXPIRY_HOURS * 60 * 60 * 1000) {
+    return { error: `Links cannot last longer than ${MAX_LINK_EXPIRY_HOURS / 24} days` }
+  }
+
+  return { expiresAt: result }
+}
+
+module.exports = {
+  CLIENT_LINK_EXPIRY_HOURS,
+  CANDIDATE_LINK_EXPIRY_HOURS,
+  OFFER_LINK_EXPIRY_HOURS,
+  clientLinkUrl,
+  candidateLinkUrl,
+  offerLinkUrl,
+  resolveExpiry,
+}
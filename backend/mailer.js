@@ -0,0 +1,140 @@
+const nodemailer = require("nodemailer")
+const pool = require("./db")
+const { renderTemplate } = require("./email-templates")
+
+// Defaults point at a local SMTP catcher (Mailpit, MailHog, ...) so development needs no setup
+const transport = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || "localhost",
+  port: Number(process.env.SMTP_PORT) || 1025,
+  secure: process.env.SMTP_SECURE === "true",
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+})
+
+const MAIL_FROM = process.env.MAIL_FROM || "Zorvixe Technologies <no-reply@zorvixetechnologies.com>"
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5
+const WORKER_INTERVAL_SECONDS = Number(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 15
+const BATCH_SIZE = 10
+// A message left in "sending" this long belongs to a worker that died mid-send
+const STALE_SENDING_MINUTES = 10
+
+// Wait 1, 2, 4, 8... minutes between attempts, capped at 6 hours
+const backoffMinutes = (attempts) => Math.min(2 ** (attempts - 1), 360)
+
+// Render a template and put it in the outbox. Like audit events, a failure here is logged but
+// never fails the request that triggered the email.
+const queueEmail = async (template, to, data, { entityType = null, entityId = null } = {}) => {
+  if (!to) return null
+
+  try {
+    const { subject, text, html } = renderTemplate(template, data)
+    const result = await pool.query(
+      `INSERT INTO email_outbox (template, recipient, subject, text_body, html_body, entity_type, entity_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [template, to, subject, text, html, entityType, entityId === null ? null : String(entityId)],
+    )
+    return result.rows[0]
+  } catch (error) {
+    console.error("Error queueing email:", error)
+    return null
+  }
+}
+
+// Queue one copy of an email for every active admin with the given role
+const queueAdminEmail = async (role, template, data, options) => {
+  try {
+    const admins = await pool.query(`SELECT email FROM admin_users WHERE role = $1 AND active = true`, [role])
+    for (const admin of admins.rows) {
+      await queueEmail(template, admin.email, data, options)
+    }
+  } catch (error) {
+    console.error("Error queueing admin email:", error)
+  }
+}
+
+const sendMessage = async (message) => {
+  try {
+    const info = await transport.sendMail({
+      from: MAIL_FROM,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.text_body,
+      html: message.html_body || undefined,
+    })
+
+    await pool.query(
+      `UPDATE email_outbox
+       SET status = 'sent', message_id = $1, last_error = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [info.messageId, message.id],
+    )
+  } catch (error) {
+    const attempts = message.attempts
+    const givingUp = attempts >= MAX_ATTEMPTS
+
+    await pool.query(
+      `UPDATE email_outbox
+       SET status = $1,
+           last_error = $2,
+           next_attempt_at = CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [givingUp ? "failed" : "pending", error.message, String(backoffMinutes(attempts)), message.id],
+    )
+
+    console.error(`Error sending email ${message.id} (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message)
+  }
+}
+
+// Claim a batch of due messages and send them. SKIP LOCKED lets several app instances share
+// the outbox without sending anything twice.
+const processOutbox = async () => {
+  const claimed = await pool.query(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+          OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::INTERVAL)
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [String(STALE_SENDING_MINUTES), BATCH_SIZE],
+  )
+
+  for (const message of claimed.rows) {
+    await sendMessage(message)
+  }
+
+  return claimed.rows.length
+}
+
+let workerTimer = null
+let working = false
+
+const startOutboxWorker = () => {
+  if (workerTimer) return
+
+  workerTimer = setInterval(async () => {
+    if (working) return
+    working = true
+    try {
+      // Keep going while full batches come back so a backlog drains quickly
+      while ((await processOutbox()) === BATCH_SIZE) {}
+    } catch (error) {
+      console.error("Error processing email outbox:", error)
+    } finally {
+      working = false
+    }
+  }, WORKER_INTERVAL_SECONDS * 1000)
+  workerTimer.unref()
+}
+
+module.exports = {
+  queueEmail,
+  queueAdminEmail,
+  processOutbox,
+  startOutboxWorker,
+}
@@ -0,0 +1,124 @@
+// Initial schema - the tables app.js used to create on startup.
+// Uses IF NOT EXISTS so databases created before migrations existed adopt it cleanly.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contacts (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        subject VARCHAR(100) NOT NULL,
+        message TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS clients (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        company VARCHAR(100),
+        project_name VARCHAR(200) NOT NULL,
+        project_id VARCHAR(50) UNIQUE NOT NULL,
+        zorvixe_id VARCHAR(50) UNIQUE NOT NULL,
+        payment_amount NUMERIC(10, 2) NOT NULL,
+        project_description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS client_links (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+        token VARCHAR(100) UNIQUE NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        payment_completed BOOLEAN DEFAULT FALSE,
+        reference_id VARCHAR(50)
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_registrations (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id),
+        client_name VARCHAR(100) NOT NULL,
+        project_name VARCHAR(100) NOT NULL,
+        project_id VARCHAR(50) NOT NULL,
+        zorvixe_id VARCHAR(50) NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        due_date DATE NOT NULL,
+        receipt_url TEXT NOT NULL,
+        reference_id VARCHAR(50) UNIQUE NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        project_description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_links (
+        id SERIAL PRIMARY KEY,
+        token VARCHAR(100) UNIQUE NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Candidates table - PDFs stored permanently
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS candidates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        position VARCHAR(100),
+        candidate_id VARCHAR(50) UNIQUE NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Candidate links table - only links expire, not the PDFs
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS candidate_links (
+        id SERIAL PRIMARY KEY,
+        candidate_id INTEGER REFERENCES candidates(id) ON DELETE CASCADE,
+        token VARCHAR(100) UNIQUE NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        upload_completed BOOLEAN DEFAULT FALSE
+      )
+    `)
+
+    // Candidate uploads table - PDFs persist permanently
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS candidate_uploads (
+        id SERIAL PRIMARY KEY,
+        candidate_id INTEGER REFERENCES candidates(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size BIGINT NOT NULL,
+        upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        status VARCHAR(20) DEFAULT 'uploaded'
+      )
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS candidate_uploads`)
+    await client.query(`DROP TABLE IF EXISTS candidate_links`)
+    await client.query(`DROP TABLE IF EXISTS candidates`)
+    await client.query(`DROP TABLE IF EXISTS payment_links`)
+    await client.query(`DROP TABLE IF EXISTS payment_registrations`)
+    await client.query(`DROP TABLE IF EXISTS client_links`)
+    await client.query(`DROP TABLE IF EXISTS clients`)
+    await client.query(`DROP TABLE IF EXISTS contacts`)
+  },
+}
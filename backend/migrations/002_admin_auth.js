@@ -0,0 +1,36 @@
+// Admin users and their login sessions
+module.exports = {
+  up: async (client) => {
+    // Admin users - roles: superadmin, finance, hr
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    // Admin sessions - only a hash of the bearer token is stored
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS admin_sessions`)
+    await client.query(`DROP TABLE IF EXISTS admin_users`)
+  },
+}
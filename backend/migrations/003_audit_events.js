@@ -0,0 +1,43 @@
+// Append-only audit trail of admin actions
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        actor_email VARCHAR(100),
+        action VARCHAR(100) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(50),
+        before_data JSONB,
+        after_data JSONB,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity_type, entity_id)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_id)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at)`)
+
+    // Rows can be inserted but never changed or removed
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `)
+
+    await client.query(`
+      CREATE TRIGGER audit_events_no_update_delete
+      BEFORE UPDATE OR DELETE ON audit_events
+      FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS audit_events`)
+    await client.query(`DROP FUNCTION IF EXISTS audit_events_append_only()`)
+  },
+}
@@ -0,0 +1,34 @@
+// Contact inbox - lead status, assignment and internal notes
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE contacts
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new',
+        ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_contacts_status ON contacts (status)`)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS contact_notes (
+        id SERIAL PRIMARY KEY,
+        contact_id INTEGER REFERENCES contacts(id) ON DELETE CASCADE,
+        admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        note TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS contact_notes`)
+    await client.query(`DROP INDEX IF EXISTS idx_contacts_status`)
+    await client.query(`
+      ALTER TABLE contacts
+        DROP COLUMN IF EXISTS updated_at,
+        DROP COLUMN IF EXISTS assigned_to,
+        DROP COLUMN IF EXISTS status
+    `)
+  },
+}
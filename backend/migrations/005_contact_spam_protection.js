@@ -0,0 +1,27 @@
+// Contact form abuse protection - submitter IP, message fingerprint and quarantine reason
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE contacts
+        ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS message_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS quarantine_reason TEXT
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_contacts_ip_created ON contacts (ip_address, created_at)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_contacts_email_created ON contacts (email, created_at)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_contacts_message_hash ON contacts (message_hash)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP INDEX IF EXISTS idx_contacts_message_hash`)
+    await client.query(`DROP INDEX IF EXISTS idx_contacts_email_created`)
+    await client.query(`DROP INDEX IF EXISTS idx_contacts_ip_created`)
+    await client.query(`
+      ALTER TABLE contacts
+        DROP COLUMN IF EXISTS quarantine_reason,
+        DROP COLUMN IF EXISTS message_hash,
+        DROP COLUMN IF EXISTS ip_address
+    `)
+  },
+}
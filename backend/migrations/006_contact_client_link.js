@@ -0,0 +1,18 @@
+// Lineage from a contact lead to the client it was converted into
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE contacts
+        ADD COLUMN IF NOT EXISTS client_id INTEGER UNIQUE REFERENCES clients(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE contacts
+        DROP COLUMN IF EXISTS converted_at,
+        DROP COLUMN IF EXISTS client_id
+    `)
+  },
+}
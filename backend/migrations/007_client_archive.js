@@ -0,0 +1,18 @@
+// Soft delete (archive) for clients
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE clients
+        ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE clients
+        DROP COLUMN IF EXISTS updated_at,
+        DROP COLUMN IF EXISTS archived_at
+    `)
+  },
+}
@@ -0,0 +1,36 @@
+// Milestone-based billing - a client's project billed in installments
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS client_milestones (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+        title VARCHAR(200) NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        due_date DATE,
+        status VARCHAR(20) DEFAULT 'pending',
+        sequence INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_client_milestones_client ON client_milestones (client_id)`)
+
+    await client.query(`
+      ALTER TABLE client_links
+        ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES client_milestones(id) ON DELETE SET NULL
+    `)
+
+    await client.query(`
+      ALTER TABLE payment_registrations
+        ADD COLUMN IF NOT EXISTS milestone_id INTEGER REFERENCES client_milestones(id) ON DELETE SET NULL
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`ALTER TABLE payment_registrations DROP COLUMN IF EXISTS milestone_id`)
+    await client.query(`ALTER TABLE client_links DROP COLUMN IF EXISTS milestone_id`)
+    await client.query(`DROP TABLE IF EXISTS client_milestones`)
+  },
+}
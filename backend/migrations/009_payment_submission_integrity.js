@@ -0,0 +1,20 @@
+// Payment registrations keyed to the link they were submitted through, with idempotency keys
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE payment_registrations
+        ADD COLUMN IF NOT EXISTS link_id INTEGER REFERENCES client_links(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS payment_link_id INTEGER REFERENCES payment_links(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(100) UNIQUE
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE payment_registrations
+        DROP COLUMN IF EXISTS idempotency_key,
+        DROP COLUMN IF EXISTS payment_link_id,
+        DROP COLUMN IF EXISTS link_id
+    `)
+  },
+}
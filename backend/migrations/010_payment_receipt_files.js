@@ -0,0 +1,25 @@
+// Uploaded receipt files for payment registrations (receipt_url becomes optional)
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE payment_registrations ALTER COLUMN receipt_url DROP NOT NULL`)
+    await client.query(`
+      ALTER TABLE payment_registrations
+        ADD COLUMN IF NOT EXISTS receipt_file_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS receipt_file_path TEXT,
+        ADD COLUMN IF NOT EXISTS receipt_file_size BIGINT,
+        ADD COLUMN IF NOT EXISTS receipt_mime_type VARCHAR(100)
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE payment_registrations
+        DROP COLUMN IF EXISTS receipt_mime_type,
+        DROP COLUMN IF EXISTS receipt_file_size,
+        DROP COLUMN IF EXISTS receipt_file_path,
+        DROP COLUMN IF EXISTS receipt_file_name
+    `)
+    await client.query(`UPDATE payment_registrations SET receipt_url = '' WHERE receipt_url IS NULL`)
+    await client.query(`ALTER TABLE payment_registrations ALTER COLUMN receipt_url SET NOT NULL`)
+  },
+}
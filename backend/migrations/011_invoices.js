@@ -0,0 +1,30 @@
+// Numbered invoices for verified payments. Numbers come from a per-year counter row that is
+// updated in the same transaction as the invoice insert, so a rolled-back invoice leaves no gap.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoice_counters (
+        year INTEGER PRIMARY KEY,
+        last_number INTEGER NOT NULL DEFAULT 0
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number VARCHAR(50) UNIQUE NOT NULL,
+        payment_id INTEGER UNIQUE REFERENCES payment_registrations(id),
+        client_id INTEGER REFERENCES clients(id),
+        amount NUMERIC(10, 2) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size BIGINT NOT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS invoices`)
+    await client.query(`DROP TABLE IF EXISTS invoice_counters`)
+  },
+}
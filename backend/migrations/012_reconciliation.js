@@ -0,0 +1,41 @@
+// Bank statement reconciliation runs and the outcome of each statement row
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER REFERENCES admin_users(id),
+        file_name VARCHAR(255),
+        total_rows INTEGER NOT NULL DEFAULT 0,
+        matched_count INTEGER NOT NULL DEFAULT 0,
+        review_count INTEGER NOT NULL DEFAULT 0,
+        unmatched_count INTEGER NOT NULL DEFAULT 0,
+        skipped_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_items (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+        row_number INTEGER NOT NULL,
+        txn_date DATE,
+        amount NUMERIC(12, 2),
+        description TEXT,
+        reference VARCHAR(255),
+        outcome VARCHAR(20) NOT NULL,
+        payment_id INTEGER REFERENCES payment_registrations(id),
+        candidate_payment_ids JSONB NOT NULL DEFAULT '[]',
+        reason TEXT
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON reconciliation_items(run_id)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS reconciliation_items`)
+    await client.query(`DROP TABLE IF EXISTS reconciliation_runs`)
+  },
+}
@@ -0,0 +1,27 @@
+// Gateway orders created for client links. An order becomes "paid" once the gateway's signed
+// webhook confirms the capture and the payment registration has been created for it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payment_orders (
+        id SERIAL PRIMARY KEY,
+        gateway_order_id VARCHAR(100) UNIQUE NOT NULL,
+        link_id INTEGER NOT NULL REFERENCES client_links(id),
+        amount NUMERIC(10, 2) NOT NULL,
+        currency VARCHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'created',
+        gateway_payment_id VARCHAR(100),
+        payment_id INTEGER REFERENCES payment_registrations(id),
+        failure_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_payment_orders_link ON payment_orders(link_id)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS payment_orders`)
+  },
+}
@@ -0,0 +1,33 @@
+// Outgoing email. Messages are rendered and stored when the event happens and sent by the outbox
+// worker, which retries failures with backoff until max attempts are used up.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        template VARCHAR(100) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT,
+        entity_type VARCHAR(50),
+        entity_id VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        message_id TEXT,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_email_outbox_entity ON email_outbox(entity_type, entity_id)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS email_outbox`)
+  },
+}
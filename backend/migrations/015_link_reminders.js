@@ -0,0 +1,12 @@
+// When the scheduler sent the "your link is about to expire" reminder for a link
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE client_links ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP`)
+    await client.query(`ALTER TABLE candidate_links ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP`)
+  },
+
+  down: async (client) => {
+    await client.query(`ALTER TABLE candidate_links DROP COLUMN IF EXISTS reminder_sent_at`)
+    await client.query(`ALTER TABLE client_links DROP COLUMN IF EXISTS reminder_sent_at`)
+  },
+}
@@ -0,0 +1,30 @@
+// Link revocation (who, when, why) and tracking of when a link was opened
+module.exports = {
+  up: async (client) => {
+    for (const table of ["client_links", "candidate_links"]) {
+      await client.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES admin_users(id),
+          ADD COLUMN IF NOT EXISTS revoke_reason TEXT,
+          ADD COLUMN IF NOT EXISTS first_opened_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS last_opened_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS open_count INTEGER NOT NULL DEFAULT 0
+      `)
+    }
+  },
+
+  down: async (client) => {
+    for (const table of ["candidate_links", "client_links"]) {
+      await client.query(`
+        ALTER TABLE ${table}
+          DROP COLUMN IF EXISTS open_count,
+          DROP COLUMN IF EXISTS last_opened_at,
+          DROP COLUMN IF EXISTS first_opened_at,
+          DROP COLUMN IF EXISTS revoke_reason,
+          DROP COLUMN IF EXISTS revoked_by,
+          DROP COLUMN IF EXISTS revoked_at
+      `)
+    }
+  },
+}
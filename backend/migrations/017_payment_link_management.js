@@ -0,0 +1,38 @@
+// Managed general-purpose payment links: a label, an optional fixed or minimum amount, a use
+// limit and an expiry. Databases created before this keep their seeded link, now labelled so
+// it shows up sensibly in the admin list.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE payment_links
+        ADD COLUMN IF NOT EXISTS label VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS fixed_amount NUMERIC(10, 2),
+        ADD COLUMN IF NOT EXISTS min_amount NUMERIC(10, 2),
+        ADD COLUMN IF NOT EXISTS max_uses INTEGER,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES admin_users(id),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `)
+
+    await client.query(`UPDATE payment_links SET label = 'General payment link' WHERE label IS NULL`)
+    await client.query(`ALTER TABLE payment_links ALTER COLUMN label SET NOT NULL`)
+
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_payment_registrations_payment_link ON payment_registrations(payment_link_id)`,
+    )
+  },
+
+  down: async (client) => {
+    await client.query(`DROP INDEX IF EXISTS idx_payment_registrations_payment_link`)
+    await client.query(`
+      ALTER TABLE payment_links
+        DROP COLUMN IF EXISTS updated_at,
+        DROP COLUMN IF EXISTS created_by,
+        DROP COLUMN IF EXISTS expires_at,
+        DROP COLUMN IF EXISTS max_uses,
+        DROP COLUMN IF EXISTS min_amount,
+        DROP COLUMN IF EXISTS fixed_amount,
+        DROP COLUMN IF EXISTS label
+    `)
+  },
+}
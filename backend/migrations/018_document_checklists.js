@@ -0,0 +1,38 @@
+// Required onboarding documents per position, and the document type of each candidate upload.
+// Uploads made before checklists existed are the single "certificate" PDF.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_requirements (
+        id SERIAL PRIMARY KEY,
+        position VARCHAR(100) NOT NULL,
+        document_type VARCHAR(50) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        description TEXT,
+        required BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_document_requirements_position_type
+      ON document_requirements(LOWER(position), document_type)
+    `)
+
+    await client.query(
+      `ALTER TABLE candidate_uploads ADD COLUMN IF NOT EXISTS document_type VARCHAR(50) NOT NULL DEFAULT 'certificate'`,
+    )
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_candidate_uploads_candidate_type
+      ON candidate_uploads(candidate_id, document_type)
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_candidate_type`)
+    await client.query(`ALTER TABLE candidate_uploads DROP COLUMN IF EXISTS document_type`)
+    await client.query(`DROP TABLE IF EXISTS document_requirements`)
+  },
+}
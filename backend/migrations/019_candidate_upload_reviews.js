@@ -0,0 +1,45 @@
+// Per-document review of candidate uploads, and versioning so a rejected document can be
+// replaced while the original stays on record. candidate_uploads.status is the review state:
+// 'uploaded' (awaiting review), 'accepted' or 'rejected'. The current version of a document is
+// the one with superseded_at NULL.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE candidate_uploads
+        ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES admin_users(id),
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS review_reason TEXT,
+        ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP
+    `)
+
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_candidate_type`)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_candidate_uploads_current
+      ON candidate_uploads(candidate_id, document_type) WHERE superseded_at IS NULL
+    `)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_candidate_uploads_version
+      ON candidate_uploads(candidate_id, document_type, version)
+    `)
+  },
+
+  down: async (client) => {
+    // Older versions have nowhere to go once versioning is removed
+    await client.query(`DELETE FROM candidate_uploads WHERE superseded_at IS NOT NULL`)
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_version`)
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_current`)
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_candidate_uploads_candidate_type
+      ON candidate_uploads(candidate_id, document_type)
+    `)
+    await client.query(`
+      ALTER TABLE candidate_uploads
+        DROP COLUMN IF EXISTS superseded_at,
+        DROP COLUMN IF EXISTS review_reason,
+        DROP COLUMN IF EXISTS reviewed_at,
+        DROP COLUMN IF EXISTS reviewed_by,
+        DROP COLUMN IF EXISTS version
+    `)
+  },
+}
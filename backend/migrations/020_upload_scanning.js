@@ -0,0 +1,35 @@
+// Content checks for candidate uploads: the type sniffed from the file itself, a SHA-256 checksum
+// (also used to spot the same file turning up for different candidates) and the malware scan
+// outcome. scan_status is 'pending' while the file sits in quarantine, then 'clean', 'infected',
+// 'error' (scanner unreachable, retried by the scan job) or 'skipped' (no scanner configured).
+// Existing uploads start as 'pending' so the scan job checks and checksums them too.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE candidate_uploads
+        ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS sha256 VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS duplicate_of INTEGER REFERENCES candidate_uploads(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        ADD COLUMN IF NOT EXISTS scan_result TEXT,
+        ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMP
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_candidate_uploads_sha256 ON candidate_uploads(sha256)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_candidate_uploads_scan_status ON candidate_uploads(scan_status)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_scan_status`)
+    await client.query(`DROP INDEX IF EXISTS idx_candidate_uploads_sha256`)
+    await client.query(`
+      ALTER TABLE candidate_uploads
+        DROP COLUMN IF EXISTS scanned_at,
+        DROP COLUMN IF EXISTS scan_result,
+        DROP COLUMN IF EXISTS scan_status,
+        DROP COLUMN IF EXISTS duplicate_of,
+        DROP COLUMN IF EXISTS sha256,
+        DROP COLUMN IF EXISTS mime_type
+    `)
+  },
+}
@@ -0,0 +1,19 @@
+// Candidate documents move behind the storage abstraction (storage.js): file_path, a path on the
+// server's disk, becomes storage_key, a key within the configured store. Keys are relative to the
+// uploads directory, so with the local driver every existing file stays where it is. Copy them to
+// another store with `npm run migrate-files`.
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE candidate_uploads RENAME COLUMN file_path TO storage_key`)
+    await client.query(`
+      UPDATE candidate_uploads
+      SET storage_key = regexp_replace(storage_key, '^(\\./)?uploads/', '')
+      WHERE storage_key ~ '^(\\./)?uploads/'
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`ALTER TABLE candidate_uploads RENAME COLUMN storage_key TO file_path`)
+    await client.query(`UPDATE candidate_uploads SET file_path = 'uploads/' || file_path`)
+  },
+}
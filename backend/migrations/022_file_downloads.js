@@ -0,0 +1,23 @@
+// One row per candidate document download, whether by an admin directly or through a signed URL
+// (admin_id is then the admin who generated the URL)
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS file_downloads (
+        id SERIAL PRIMARY KEY,
+        upload_id INTEGER NOT NULL REFERENCES candidate_uploads(id) ON DELETE CASCADE,
+        admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        method VARCHAR(20) NOT NULL,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_file_downloads_upload ON file_downloads(upload_id)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS file_downloads`)
+  },
+}
@@ -0,0 +1,109 @@
+// Recruitment pipeline. Every candidate sits at one pipeline stage; a stage lists the stages a
+// candidate may move to next (none for final stages such as "joined"), and moving into a stage with
+// requires_reason set needs a reason. Stage changes are kept in candidate_stage_history.
+// Interviews belong to a stage (the round) and have one interviewer; each evaluator fills in one
+// scorecard per interview.
+// candidates.status stays as it was: where the candidate is with their onboarding documents.
+const DEFAULT_STAGES = [
+  { key: "screening", label: "Screening", next: ["technical_interview", "rejected", "withdrawn"] },
+  { key: "technical_interview", label: "Technical interview", next: ["hr_round", "rejected", "withdrawn"] },
+  { key: "hr_round", label: "HR round", next: ["offer", "rejected", "withdrawn"] },
+  { key: "offer", label: "Offer", next: ["joined", "rejected", "withdrawn"] },
+  { key: "joined", label: "Joined", next: [] },
+  { key: "rejected", label: "Rejected", next: [], requiresReason: true },
+  { key: "withdrawn", label: "Withdrawn", next: [], requiresReason: true },
+]
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS pipeline_stages (
+        key VARCHAR(50) PRIMARY KEY,
+        label VARCHAR(100) NOT NULL,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        next_stages TEXT[] NOT NULL DEFAULT '{}',
+        requires_reason BOOLEAN NOT NULL DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    for (const [index, stage] of DEFAULT_STAGES.entries()) {
+      await client.query(
+        `INSERT INTO pipeline_stages (key, label, sort_order, next_stages, requires_reason)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (key) DO NOTHING`,
+        [stage.key, stage.label, index, stage.next, !!stage.requiresReason],
+      )
+    }
+
+    await client.query(`
+      ALTER TABLE candidates
+        ADD COLUMN IF NOT EXISTS stage VARCHAR(50) NOT NULL DEFAULT 'screening'
+          REFERENCES pipeline_stages(key) ON UPDATE CASCADE,
+        ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `)
+    // Candidates whose documents were already rejected are out of the running
+    await client.query(`UPDATE candidates SET stage = 'rejected' WHERE status = 'rejected'`)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS candidate_stage_history (
+        id SERIAL PRIMARY KEY,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        from_stage VARCHAR(50),
+        to_stage VARCHAR(50) NOT NULL,
+        reason TEXT,
+        changed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_candidate_stage_history_candidate ON candidate_stage_history(candidate_id, changed_at)`,
+    )
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS interviews (
+        id SERIAL PRIMARY KEY,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        stage VARCHAR(50) NOT NULL REFERENCES pipeline_stages(key) ON UPDATE CASCADE,
+        interviewer_id INTEGER NOT NULL REFERENCES admin_users(id),
+        scheduled_at TIMESTAMP NOT NULL,
+        duration_minutes INTEGER NOT NULL DEFAULT 60,
+        location TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        cancel_reason TEXT,
+        created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_interviews_candidate ON interviews(candidate_id)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_interviews_interviewer ON interviews(interviewer_id, scheduled_at)`)
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS interview_scorecards (
+        id SERIAL PRIMARY KEY,
+        interview_id INTEGER NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+        evaluator_id INTEGER NOT NULL REFERENCES admin_users(id),
+        ratings JSONB NOT NULL DEFAULT '{}',
+        overall_rating SMALLINT NOT NULL CHECK (overall_rating BETWEEN 1 AND 5),
+        recommendation VARCHAR(20) NOT NULL,
+        notes TEXT,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (interview_id, evaluator_id)
+      )
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS interview_scorecards`)
+    await client.query(`DROP TABLE IF EXISTS interviews`)
+    await client.query(`DROP TABLE IF EXISTS candidate_stage_history`)
+    await client.query(`
+      ALTER TABLE candidates
+        DROP COLUMN IF EXISTS stage_changed_at,
+        DROP COLUMN IF EXISTS stage
+    `)
+    await client.query(`DROP TABLE IF EXISTS pipeline_stages`)
+  },
+}
@@ -0,0 +1,67 @@
+// Offer letters. The text comes from an offer template with {{placeholders}}; each letter keeps the
+// rendered text and a PDF (in the configured store) and is sent to the candidate through its own
+// token link, on which they accept or decline. status is 'sent', 'accepted', 'declined', 'withdrawn'
+// (by HR, or replaced by a newer offer) or 'expired'.
+// candidates.status follows the latest offer: 'offer_sent', 'offer_accepted' or 'offer_declined'.
+const DEFAULT_TEMPLATE = `Dear {{candidateName}},
+
+We are delighted to offer you the position of {{position}} at {{companyName}}.
+
+Your annual gross salary will be {{salary}}, and we would like you to join us on {{joiningDate}}.
+
+This offer is valid until {{respondBy}}. Please accept or decline it using the link you received with this letter.
+
+We look forward to working with you.`
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS offer_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(
+      `INSERT INTO offer_templates (name, body) VALUES ('Standard offer', $1) ON CONFLICT (name) DO NOTHING`,
+      [DEFAULT_TEMPLATE],
+    )
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS offer_letters (
+        id SERIAL PRIMARY KEY,
+        candidate_id INTEGER NOT NULL REFERENCES candidates(id) ON DELETE CASCADE,
+        template_id INTEGER REFERENCES offer_templates(id) ON DELETE SET NULL,
+        position VARCHAR(100) NOT NULL,
+        salary DECIMAL(12, 2) NOT NULL,
+        joining_date DATE NOT NULL,
+        body TEXT NOT NULL,
+        storage_key VARCHAR(255),
+        file_size INTEGER,
+        token VARCHAR(100) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'sent',
+        first_opened_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        response_ip VARCHAR(64),
+        response_user_agent TEXT,
+        decline_reason TEXT,
+        withdraw_reason TEXT,
+        created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_offer_letters_candidate ON offer_letters(candidate_id)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_offer_letters_open ON offer_letters(status, expires_at)`)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP TABLE IF EXISTS offer_letters`)
+    await client.query(`DROP TABLE IF EXISTS offer_templates`)
+  },
+}
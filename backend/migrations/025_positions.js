@@ -0,0 +1,41 @@
+// Job openings. Candidates can be linked to the opening they were hired for; those who applied
+// through the public site have source 'application' and the IP address they applied from (used
+// to rate-limit applications). candidates.position keeps the title as free text, since checklists
+// and letters still use it.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS positions (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(100) NOT NULL,
+        description TEXT,
+        location VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP
+      )
+    `)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_positions_status ON positions(status)`)
+
+    await client.query(`
+      ALTER TABLE candidates
+        ADD COLUMN IF NOT EXISTS position_id INTEGER REFERENCES positions(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'admin',
+        ADD COLUMN IF NOT EXISTS application_ip VARCHAR(64)
+    `)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_candidates_position ON candidates(position_id)`)
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_candidates_application_ip ON candidates(application_ip, created_at)`)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE candidates
+        DROP COLUMN IF EXISTS application_ip,
+        DROP COLUMN IF EXISTS source,
+        DROP COLUMN IF EXISTS position_id
+    `)
+    await client.query(`DROP TABLE IF EXISTS positions`)
+  },
+}
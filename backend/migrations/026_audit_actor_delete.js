@@ -0,0 +1,28 @@
+// The append-only trigger also blocked the ON DELETE SET NULL on actor_id, so admin users with
+// audit events could not be deleted. Let through an update that only clears actor_id; the
+// actor's email stays on the row.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'UPDATE' AND NEW.actor_id IS NULL
+          AND (to_jsonb(NEW) - 'actor_id') = (to_jsonb(OLD) - 'actor_id') THEN
+          RETURN NEW;
+        END IF;
+        RAISE EXCEPTION 'audit_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `)
+  },
+}
@@ -0,0 +1,24 @@
+// Rows held for review are resolved by hand: either matched to a registration, which is then
+// verified, or dismissed with a reason. resolution is 'verified' or 'dismissed'; NULL while the
+// row is still open.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE reconciliation_items
+        ADD COLUMN IF NOT EXISTS resolution VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS resolution_reason TEXT,
+        ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE reconciliation_items
+        DROP COLUMN IF EXISTS resolved_at,
+        DROP COLUMN IF EXISTS resolved_by,
+        DROP COLUMN IF EXISTS resolution_reason,
+        DROP COLUMN IF EXISTS resolution
+    `)
+  },
+}
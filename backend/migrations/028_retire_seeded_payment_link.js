@@ -0,0 +1,17 @@
+// Databases set up before migrations were introduced were seeded with a fixed payment link whose
+// token was public in the source. Switch it off where it exists; it is kept rather than deleted
+// because registrations may point at it. It is matched by hash so the token stays out of the code.
+const SEEDED_TOKEN_SHA256 = "680c3dbf4a6885bf438120c0d58a5e3fd7b48146ce5e2c6cbbf36bb5958557e2"
+
+module.exports = {
+  up: async (client) => {
+    await client.query(
+      `UPDATE payment_links SET active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE encode(sha256(convert_to(token, 'UTF8')), 'hex') = $1`,
+      [SEEDED_TOKEN_SHA256],
+    )
+  },
+
+  // Turning a leaked token back on is left to an admin, through the payment link routes
+  down: async () => {},
+}
@@ -0,0 +1,31 @@
+// Invoices and payment receipts move behind the storage abstraction too (see 021):
+// invoices.file_path becomes storage_key and payment_registrations.receipt_file_path becomes
+// receipt_storage_key. Existing keys are relative to the uploads directory, so with the local
+// driver the files stay where they are. Copy them to another store with `npm run migrate-files`.
+module.exports = {
+  up: async (client) => {
+    await client.query(`ALTER TABLE invoices RENAME COLUMN file_path TO storage_key`)
+    await client.query(`
+      UPDATE invoices
+      SET storage_key = regexp_replace(storage_key, '^(\\./)?uploads/', '')
+      WHERE storage_key ~ '^(\\./)?uploads/'
+    `)
+
+    await client.query(`ALTER TABLE payment_registrations RENAME COLUMN receipt_file_path TO receipt_storage_key`)
+    await client.query(`
+      UPDATE payment_registrations
+      SET receipt_storage_key = regexp_replace(receipt_storage_key, '^(\\./)?uploads/', '')
+      WHERE receipt_storage_key ~ '^(\\./)?uploads/'
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`ALTER TABLE payment_registrations RENAME COLUMN receipt_storage_key TO receipt_file_path`)
+    await client.query(
+      `UPDATE payment_registrations SET receipt_file_path = 'uploads/' || receipt_file_path WHERE receipt_file_path IS NOT NULL`,
+    )
+
+    await client.query(`ALTER TABLE invoices RENAME COLUMN storage_key TO file_path`)
+    await client.query(`UPDATE invoices SET file_path = 'uploads/' || file_path`)
+  },
+}
@@ -0,0 +1,35 @@
+// A pipeline stage for candidates who accepted their offer but have not joined yet; accepting an
+// offer moves the candidate there. It goes right after "offer" and is reachable from it. Databases
+// whose pipeline no longer has an "offer" stage get it at the end, for an admin to wire in.
+module.exports = {
+  up: async (client) => {
+    const offer = await client.query(`SELECT sort_order FROM pipeline_stages WHERE key = 'offer'`)
+    const maxOrder = await client.query(`SELECT COALESCE(MAX(sort_order), -1) AS sort_order FROM pipeline_stages`)
+    const sortOrder = offer.rows.length > 0 ? offer.rows[0].sort_order + 1 : maxOrder.rows[0].sort_order + 1
+
+    await client.query(`UPDATE pipeline_stages SET sort_order = sort_order + 1 WHERE sort_order >= $1`, [sortOrder])
+    await client.query(
+      `INSERT INTO pipeline_stages (key, label, sort_order, next_stages, requires_reason)
+       VALUES ('offer_accepted', 'Offer accepted', $1, $2, false)
+       ON CONFLICT (key) DO NOTHING`,
+      [sortOrder, ["joined", "withdrawn"]],
+    )
+    await client.query(`
+      UPDATE pipeline_stages SET next_stages = array_append(next_stages, 'offer_accepted'), updated_at = NOW()
+      WHERE key = 'offer' AND NOT ('offer_accepted' = ANY(next_stages))
+    `)
+  },
+
+  // Candidates and interviews at the stage go back to "offer"; the stage history keeps its rows
+  down: async (client) => {
+    await client.query(`UPDATE candidates SET stage = 'offer' WHERE stage = 'offer_accepted'`)
+    await client.query(`UPDATE interviews SET stage = 'offer' WHERE stage = 'offer_accepted'`)
+    await client.query(`UPDATE pipeline_stages SET next_stages = array_remove(next_stages, 'offer_accepted')`)
+    const removed = await client.query(`DELETE FROM pipeline_stages WHERE key = 'offer_accepted' RETURNING sort_order`)
+    if (removed.rows.length > 0) {
+      await client.query(`UPDATE pipeline_stages SET sort_order = sort_order - 1 WHERE sort_order > $1`, [
+        removed.rows[0].sort_order,
+      ])
+    }
+  },
+}
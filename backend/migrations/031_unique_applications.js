@@ -0,0 +1,30 @@
+// One candidate per email address and job opening, enforced by the database so two applications
+// sent at the same moment cannot both get in. Existing duplicates have to be merged by hand first;
+// the migration lists them rather than guess which one to keep.
+module.exports = {
+  up: async (client) => {
+    const duplicates = await client.query(`
+      SELECT LOWER(email) AS email, position_id, array_agg(id ORDER BY id) AS candidate_ids
+      FROM candidates
+      WHERE position_id IS NOT NULL
+      GROUP BY LOWER(email), position_id
+      HAVING COUNT(*) > 1
+    `)
+
+    if (duplicates.rows.length > 0) {
+      const list = duplicates.rows
+        .map((row) => `${row.email} for position ${row.position_id} (candidates ${row.candidate_ids.join(", ")})`)
+        .join("; ")
+      throw new Error(`Candidates applied more than once for the same position: ${list}`)
+    }
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_candidates_position_email
+      ON candidates(LOWER(email), position_id) WHERE position_id IS NOT NULL
+    `)
+  },
+
+  down: async (client) => {
+    await client.query(`DROP INDEX IF EXISTS idx_candidates_position_email`)
+  },
+}
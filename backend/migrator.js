@@ -0,0 +1,123 @@
+const path = require("path")
+const fs = require("fs")
+const pool = require("./db")
+
+const migrationsDir = path.join(__dirname, "migrations")
+
+// Arbitrary key for the advisory lock that keeps two processes from migrating at once
+const MIGRATION_LOCK_KEY = 72510001
+
+// Migration files are named "<number>_<description>.js" and run in filename order
+const loadMigrations = () =>
+  fs
+    .readdirSync(migrationsDir)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(migrationsDir, file))
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`Migration ${file} must export up() and down()`)
+      }
+      return { name: path.basename(file, ".js"), ...migration }
+    })
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+}
+
+const getAppliedMigrations = async (client) => {
+  await ensureMigrationsTable(client)
+  const result = await client.query(`SELECT name, applied_at FROM schema_migrations ORDER BY name`)
+  return result.rows
+}
+
+const getStatus = async () => {
+  const applied = await getAppliedMigrations(pool)
+  const appliedAt = new Map(applied.map((row) => [row.name, row.applied_at]))
+
+  return loadMigrations().map(({ name }) => ({
+    name,
+    applied: appliedAt.has(name),
+    appliedAt: appliedAt.get(name) || null,
+  }))
+}
+
+const getPendingMigrations = async () => (await getStatus()).filter((migration) => !migration.applied)
+
+// Run fn with a dedicated client holding the migration lock
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect()
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [MIGRATION_LOCK_KEY])
+    return await fn(client)
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [MIGRATION_LOCK_KEY]).catch(() => {})
+    client.release()
+  }
+}
+
+// Each migration runs in its own transaction together with its schema_migrations row
+const runInTransaction = async (client, fn) => {
+  await client.query("BEGIN")
+  try {
+    await fn()
+    await client.query("COMMIT")
+  } catch (err) {
+    await client.query("ROLLBACK")
+    throw err
+  }
+}
+
+// Apply every pending migration, returning the names that ran
+const migrateUp = () =>
+  withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map((row) => row.name))
+    const ran = []
+
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.name)) continue
+
+      await runInTransaction(client, async () => {
+        await migration.up(client)
+        await client.query(`INSERT INTO schema_migrations (name) VALUES ($1)`, [migration.name])
+      })
+      ran.push(migration.name)
+    }
+
+    return ran
+  })
+
+// Roll back the most recently applied migrations, returning the names that were reverted
+const migrateDown = (steps = 1) =>
+  withMigrationLock(async (client) => {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.name, migration]))
+    const applied = (await getAppliedMigrations(client)).map((row) => row.name)
+    const reverted = []
+
+    for (const name of applied.reverse().slice(0, steps)) {
+      const migration = migrations.get(name)
+      if (!migration) {
+        throw new Error(`Cannot roll back ${name}: migration file not found`)
+      }
+
+      await runInTransaction(client, async () => {
+        await migration.down(client)
+        await client.query(`DELETE FROM schema_migrations WHERE name = $1`, [name])
+      })
+      reverted.push(name)
+    }
+
+    return reverted
+  })
+
+module.exports = {
+  getStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+}
@@ -0,0 +1,103 @@
+const fs = require("fs")
+const PDFDocument = require("pdfkit")
+
+const COMPANY_NAME = process.env.COMPANY_NAME || "Zorvixe Technologies"
+
+const formatAmount = (amount) =>
+  `INR ${Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { year: "numeric", month: "long", day: "numeric" })
+
+// Write a PDF built by draw(doc) to filePath, resolving once the file is fully flushed
+const writePdf = (filePath, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 })
+    const stream = fs.createWriteStream(filePath)
+
+    stream.on("finish", resolve)
+    stream.on("error", reject)
+    doc.on("error", reject)
+
+    doc.pipe(stream)
+    draw(doc)
+    doc.end()
+  })
+
+// Invoice / receipt for a verified payment
+const renderInvoicePdf = (filePath, { invoice, payment, client, milestone }) =>
+  writePdf(filePath, (doc) => {
+    doc.fontSize(20).text(COMPANY_NAME, { align: "left" })
+    doc.moveDown(0.5)
+    doc.fontSize(14).fillColor("#555555").text("Invoice / Payment Receipt")
+    doc.fillColor("#000000").moveDown()
+
+    doc.fontSize(11)
+    doc.text(`Invoice number: ${invoice.invoice_number}`)
+    doc.text(`Issued on: ${formatDate(invoice.issued_at)}`)
+    doc.text(`Payment reference: ${payment.reference_id}`)
+    doc.moveDown()
+
+    doc.fontSize(12).text("Billed to", { underline: true })
+    doc.fontSize(11)
+    doc.text(payment.client_name)
+    if (client && client.company) doc.text(client.company)
+    if (client && client.email) doc.text(client.email)
+    if (client && client.phone) doc.text(client.phone)
+    doc.moveDown()
+
+    doc.fontSize(12).text("Project", { underline: true })
+    doc.fontSize(11)
+    doc.text(`Project: ${payment.project_name}`)
+    doc.text(`Project ID: ${payment.project_id}`)
+    doc.text(`Zorvixe ID: ${payment.zorvixe_id}`)
+    if (milestone) doc.text(`Milestone: ${milestone.title}`)
+    doc.moveDown()
+
+    doc.fontSize(12).text("Payment", { underline: true })
+    doc.fontSize(11)
+    doc.text(`Payment date: ${formatDate(payment.created_at)}`)
+    doc.text(`Status: Paid`)
+    doc.moveDown(0.5)
+    doc.fontSize(14).text(`Amount paid: ${formatAmount(invoice.amount)}`)
+
+    doc.moveDown(2)
+    doc.fontSize(9).fillColor("#777777").text("This is a computer-generated document and does not require a signature.")
+  })
+
+// Offer letter: the letter text (already filled in from its template) and a summary of the terms
+const renderOfferLetterPdf = (filePath, { offer, candidate }) =>
+  writePdf(filePath, (doc) => {
+    doc.fontSize(20).text(COMPANY_NAME, { align: "left" })
+    doc.moveDown(0.5)
+    doc.fontSize(14).fillColor("#555555").text("Offer of Employment")
+    doc.fillColor("#000000").moveDown()
+
+    doc.fontSize(11)
+    doc.text(`Date: ${formatDate(offer.created_at)}`)
+    doc.text(`Candidate: ${candidate.name} (${candidate.candidate_id})`)
+    doc.moveDown()
+
+    offer.body.split(/\n\s*\n/).forEach((paragraph) => {
+      doc.text(paragraph.trim(), { align: "justify" })
+      doc.moveDown()
+    })
+
+    doc.fontSize(12).text("Terms", { underline: true })
+    doc.fontSize(11)
+    doc.text(`Position: ${offer.position}`)
+    doc.text(`Annual gross salary: ${formatAmount(offer.salary)}`)
+    doc.text(`Joining date: ${formatDate(offer.joining_date)}`)
+    doc.text(`Respond by: ${formatDate(offer.expires_at)}`)
+
+    doc.moveDown(2)
+    doc.fontSize(9).fillColor("#777777").text("This is a computer-generated document and does not require a signature.")
+  })
+
+module.exports = {
+  COMPANY_NAME,
+  formatAmount,
+  formatDate,
+  renderInvoicePdf,
+  renderOfferLetterPdf,
+}
@@ -0,0 +1,234 @@
+const pool = require("./db")
+
+// How far a bank transaction date may be from the day the payment was registered
+const DATE_TOLERANCE_DAYS = Number(process.env.RECONCILE_DATE_TOLERANCE_DAYS) || 7
+
+// Header names banks commonly use for each column we need, lowercased
+const COLUMN_ALIASES = {
+  date: ["date", "txn date", "transaction date", "value date", "posting date", "tran date"],
+  description: ["description", "narration", "remarks", "particulars", "details", "transaction details"],
+  reference: ["reference", "ref no", "ref no.", "reference no", "reference number", "chq/ref no", "utr"],
+  amount: ["amount", "credit", "credit amount", "deposit", "deposits", "deposit amount", "cr amount"],
+  debit: ["debit", "debit amount", "withdrawal", "withdrawals", "withdrawal amount", "dr amount"],
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+
+// Bank narrations often drop the dashes, so "PAY2026ABC123" is accepted too
+const REFERENCE_PATTERN = /PAY-?(\d{4})-?([A-Z0-9]{6})(?![A-Z0-9])/i
+
+// Split CSV text into rows of fields. Handles quoted fields with embedded commas, quotes and newlines.
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""))
+}
+
+// Accepts dd/mm/yyyy, dd-mm-yyyy, yyyy-mm-dd and "15 Oct 2026" / "15-Oct-26". Returns "YYYY-MM-DD" or null.
+const parseStatementDate = (value) => {
+  const text = (value || "").trim()
+  let year, month, day
+  let match
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    ;[, year, month, day] = match.map(Number)
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/))) {
+    ;[, day, month, year] = match.map(Number)
+  } else if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})$/))) {
+    day = Number(match[1])
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1
+    year = Number(match[3])
+  } else {
+    return null
+  }
+
+  if (year < 100) year += 2000
+
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null
+
+  return date.toISOString().slice(0, 10)
+}
+
+// "₹1,25,000.00 Cr" -> 125000. Returns null for blanks and anything that is not a number.
+const parseStatementAmount = (value) => {
+  const text = (value || "").replace(/[₹,\s]|INR|Rs\.?|Cr$|Dr$/gi, "")
+  if (text === "") return null
+  const amount = Number(text)
+  return Number.isFinite(amount) ? amount : null
+}
+
+const findColumn = (headers, field, override) => {
+  const names = override ? [override.toLowerCase()] : COLUMN_ALIASES[field]
+  return headers.findIndex((header) => names.includes(header))
+}
+
+// Turn a statement CSV into entries. Column names can be overridden per field
+// ({ date: "Tran Date", amount: "Credit" }) for exports the aliases do not cover.
+const readStatement = (text, columns = {}) => {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ""))
+
+  if (rows.length === 0) {
+    throw new Error("The statement file is empty")
+  }
+
+  // Some banks put account details above the table, so look for the header row near the top
+  const headerIndex = rows
+    .slice(0, 20)
+    .findIndex((row) => {
+      const headers = row.map((value) => value.trim().toLowerCase())
+      return findColumn(headers, "date", columns.date) !== -1 && findColumn(headers, "amount", columns.amount) !== -1
+    })
+
+  if (headerIndex === -1) {
+    throw new Error("Could not find the date and amount columns in the statement")
+  }
+
+  const headers = rows[headerIndex].map((value) => value.trim().toLowerCase())
+  const index = {}
+  Object.keys(COLUMN_ALIASES).forEach((field) => {
+    index[field] = findColumn(headers, field, columns[field])
+  })
+
+  return rows.slice(headerIndex + 1).map((row, i) => {
+    const cell = (field) => (index[field] === -1 ? "" : (row[index[field]] || "").trim())
+    const description = cell("description")
+    const reference = cell("reference")
+    const rawAmount = cell("amount")
+
+    const entry = {
+      rowNumber: headerIndex + i + 2,
+      txnDate: parseStatementDate(cell("date")),
+      amount: parseStatementAmount(rawAmount),
+      description,
+      reference,
+      skipReason: null,
+    }
+
+    if (!entry.txnDate) {
+      entry.skipReason = "Unreadable transaction date"
+    } else if (entry.amount === null || entry.amount <= 0 || /dr$/i.test(rawAmount) || parseStatementAmount(cell("debit"))) {
+      entry.skipReason = "Not a credit"
+    }
+
+    return entry
+  })
+}
+
+const extractReference = (entry) => {
+  const match = `${entry.reference} ${entry.description}`.match(REFERENCE_PATTERN)
+  return match ? `PAY-${match[1]}-${match[2].toUpperCase()}` : null
+}
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000)
+
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10)
+
+// Match statement entries against pending registrations. Each entry gets one outcome:
+//   matched    reference, amount and date all agree - safe to verify automatically
+//   review     something points at a registration but not conclusively
+//   unmatched  nothing on our side looks like this transaction
+//   skipped    not a usable credit row
+// A registration is claimed by at most one entry per run; later entries that also point at it go to review.
+const matchEntries = (entries, pendingPayments) => {
+  const byReference = new Map(pendingPayments.map((payment) => [payment.reference_id.toUpperCase(), payment]))
+  const claimed = new Set()
+
+  const sameAmount = (payment, entry) => Math.abs(Number(payment.amount) - entry.amount) < 0.005
+  const inDateRange = (payment, entry) => daysBetween(toDateString(payment.created_at), entry.txnDate) <= DATE_TOLERANCE_DAYS
+
+  return entries.map((entry) => {
+    const item = { ...entry, outcome: "unmatched", paymentId: null, candidatePaymentIds: [], reason: null }
+
+    if (entry.skipReason) {
+      return { ...item, outcome: "skipped", reason: entry.skipReason }
+    }
+
+    const reference = extractReference(entry)
+    const referenced = reference && byReference.get(reference)
+
+    if (referenced) {
+      const problems = []
+      if (!sameAmount(referenced, entry)) problems.push(`amount ${entry.amount} differs from ${referenced.amount}`)
+      if (!inDateRange(referenced, entry)) problems.push(`date is more than ${DATE_TOLERANCE_DAYS} days from registration`)
+      if (claimed.has(referenced.id)) problems.push("registration already matched by an earlier row")
+
+      if (problems.length > 0) {
+        return { ...item, outcome: "review", candidatePaymentIds: [referenced.id], reason: `${reference}: ${problems.join(", ")}` }
+      }
+
+      claimed.add(referenced.id)
+      return { ...item, outcome: "matched", paymentId: referenced.id, reason: `Reference ${reference}` }
+    }
+
+    const candidates = pendingPayments.filter(
+      (payment) => !claimed.has(payment.id) && sameAmount(payment, entry) && inDateRange(payment, entry),
+    )
+
+    if (candidates.length > 0) {
+      return {
+        ...item,
+        outcome: "review",
+        candidatePaymentIds: candidates.map((payment) => payment.id),
+        reason: reference
+          ? `Reference ${reference} is not a pending registration; amount and date match`
+          : "No reference; amount and date match",
+      }
+    }
+
+    return { ...item, reason: reference ? `Reference ${reference} is not a pending registration` : null }
+  })
+}
+
+// Match statement entries against every pending registration
+const reconcileStatement = async (entries) => {
+  const result = await pool.query(
+    `SELECT id, reference_id, amount, created_at
+     FROM payment_registrations
+     WHERE status = 'pending'`,
+  )
+
+  return matchEntries(entries, result.rows)
+}
+
+module.exports = {
+  parseCsv,
+  readStatement,
+  matchEntries,
+  reconcileStatement,
+}
@@ -0,0 +1,317 @@
+const pool = require("./db")
+const { recordAuditEvent } = require("./audit")
+const { queueEmail, queueAdminEmail } = require("./mailer")
+const { clientLinkUrl, candidateLinkUrl } = require("./links")
+const { hashStream, scanCandidateUpload, isScanPassed } = require("./filescan")
+const { getDocumentProgress, markChecklistComplete } = require("./checklist")
+const { getStorage } = require("./storage")
+
+// Remind clients this long before a payment link expires (links last 30 days by default)
+const CLIENT_REMINDER_HOURS = Number(process.env.CLIENT_LINK_REMINDER_HOURS) || 72
+// Remind candidates this long before an onboarding link expires (links last 5 hours by default)
+const CANDIDATE_REMINDER_MINUTES = Number(process.env.CANDIDATE_LINK_REMINDER_MINUTES) || 60
+const JOB_INTERVAL_MINUTES = Number(process.env.SCHEDULER_INTERVAL_MINUTES) || 5
+const SCAN_BATCH_SIZE = 20
+
+// Audit events written by jobs have no admin behind them
+const SYSTEM_REQUEST = { admin: null, ip: null }
+
+const sendLinkReminders = async () => {
+  const clientLinks = await pool.query(
+    `UPDATE client_links cl
+     SET reminder_sent_at = NOW()
+     FROM clients c
+     WHERE c.id = cl.client_id
+       AND c.archived_at IS NULL
+       AND cl.active = true
+       AND cl.payment_completed = false
+       AND cl.reminder_sent_at IS NULL
+       AND cl.expires_at > NOW()
+       AND cl.expires_at <= NOW() + ($1 || ' hours')::INTERVAL
+     RETURNING cl.*`,
+    [String(CLIENT_REMINDER_HOURS)],
+  )
+
+  for (const link of clientLinks.rows) {
+    const clientResult = await pool.query(`SELECT * FROM clients WHERE id = $1`, [link.client_id])
+    const client = clientResult.rows[0]
+
+    let milestone = null
+    if (link.milestone_id) {
+      const milestoneResult = await pool.query(`SELECT * FROM client_milestones WHERE id = $1`, [link.milestone_id])
+      milestone = milestoneResult.rows[0] || null
+    }
+
+    await queueEmail(
+      "client_link.expiring",
+      client.email,
+      {
+        client,
+        milestone,
+        url: clientLinkUrl(link.token),
+        amount: milestone ? milestone.amount : client.payment_amount,
+        expiresAt: link.expires_at,
+      },
+      { entityType: "client_link", entityId: link.id },
+    )
+  }
+
+  const candidateLinks = await pool.query(
+    `UPDATE candidate_links
+     SET reminder_sent_at = NOW()
+     WHERE active = true
+       AND upload_completed = false
+       AND reminder_sent_at IS NULL
+       AND expires_at > NOW()
+       AND expires_at <= NOW() + ($1 || ' minutes')::INTERVAL
+     RETURNING *`,
+    [String(CANDIDATE_REMINDER_MINUTES)],
+  )
+
+  for (const link of candidateLinks.rows) {
+    const candidateResult = await pool.query(`SELECT * FROM candidates WHERE id = $1`, [link.candidate_id])
+
+    await queueEmail(
+      "candidate_link.expiring",
+      candidateResult.rows[0].email,
+      { candidate: candidateResult.rows[0], url: candidateLinkUrl(link.token), expiresAt: link.expires_at },
+      { entityType: "candidate_link", entityId: link.id },
+    )
+  }
+
+  return { clientReminders: clientLinks.rows.length, candidateReminders: candidateLinks.rows.length }
+}
+
+const deactivateExpiredLinks = async () => {
+  const clientLinks = await pool.query(
+    `UPDATE client_links SET active = false
+     WHERE active = true AND expires_at <= NOW()
+     RETURNING id, client_id, expires_at`,
+  )
+
+  const candidateLinks = await pool.query(
+    `UPDATE candidate_links SET active = false
+     WHERE active = true AND expires_at <= NOW()
+     RETURNING id, candidate_id, expires_at`,
+  )
+
+  for (const link of clientLinks.rows) {
+    await recordAuditEvent(SYSTEM_REQUEST, {
+      action: "client_link.expire",
+      entityType: "client_link",
+      entityId: link.id,
+      before: { active: true },
+      after: { active: false, expiresAt: link.expires_at },
+    })
+  }
+
+  for (const link of candidateLinks.rows) {
+    await recordAuditEvent(SYSTEM_REQUEST, {
+      action: "candidate_link.expire",
+      entityType: "candidate_link",
+      entityId: link.id,
+      before: { active: true },
+      after: { active: false, expiresAt: link.expires_at },
+    })
+  }
+
+  return { clientLinks: clientLinks.rows.length, candidateLinks: candidateLinks.rows.length }
+}
+
+// Candidates who did not finish their checklist and have no usable link left are flagged for HR
+// to follow up; issuing a new link puts them back to "pending". Whether the checklist was finished
+// is read from the latest link rather than from the uploads, since a partial upload or the resume
+// from an application does not make it complete.
+const flagLapsedCandidates = async () => {
+  const result = await pool.query(
+    `UPDATE candidates c
+     SET status = 'link_expired'
+     WHERE c.status = 'pending'
+       AND EXISTS (SELECT 1 FROM candidate_links cl WHERE cl.candidate_id = c.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM candidate_links cl
+         WHERE cl.candidate_id = c.id AND cl.active = true AND cl.expires_at > NOW()
+       )
+       AND NOT COALESCE((
+         SELECT cl.upload_completed FROM candidate_links cl
+         WHERE cl.candidate_id = c.id
+         ORDER BY cl.created_at DESC, cl.id DESC
+         LIMIT 1
+       ), false)
+     RETURNING c.id`,
+  )
+
+  for (const candidate of result.rows) {
+    await recordAuditEvent(SYSTEM_REQUEST, {
+      action: "candidate.link_lapsed",
+      entityType: "candidate",
+      entityId: candidate.id,
+      before: { status: "pending" },
+      after: { status: "link_expired" },
+    })
+  }
+
+  return { candidates: result.rows.length }
+}
+
+// Offers nobody answered before the link expired. The candidate goes back to approved so HR can
+// make another offer.
+const expireOffers = async () => {
+  const result = await pool.query(
+    `UPDATE offer_letters SET status = 'expired', updated_at = NOW()
+     WHERE status = 'sent' AND expires_at <= NOW()
+     RETURNING *`,
+  )
+
+  for (const offer of result.rows) {
+    const candidateResult = await pool.query(
+      `UPDATE candidates SET status = 'approved' WHERE id = $1 AND status = 'offer_sent' RETURNING *`,
+      [offer.candidate_id],
+    )
+
+    await recordAuditEvent(SYSTEM_REQUEST, {
+      action: "offer_letter.expire",
+      entityType: "offer_letter",
+      entityId: offer.id,
+      before: { status: "sent" },
+      after: { status: "expired", expiresAt: offer.expires_at },
+    })
+
+    if (candidateResult.rows.length > 0) {
+      await queueAdminEmail(
+        "hr",
+        "offer.expired",
+        { candidate: candidateResult.rows[0], offer },
+        { entityType: "offer_letter", entityId: offer.id },
+      )
+    }
+  }
+
+  return { offers: result.rows.length }
+}
+
+// Uploads are normally scanned as they arrive; this picks up the ones the scanner could not be
+// reached for, and uploads from before scanning existed (which also have no checksum yet). A file
+// that passes may be the last one a candidate's checklist was waiting on.
+const scanPendingUploads = async () => {
+  const result = await pool.query(
+    `SELECT * FROM candidate_uploads
+     WHERE scan_status IN ('pending', 'error')
+     ORDER BY scanned_at NULLS FIRST, id
+     LIMIT $1`,
+    [SCAN_BATCH_SIZE],
+  )
+
+  const counts = { clean: 0, skipped: 0, infected: 0, error: 0 }
+  const passedCandidateIds = new Set()
+  for (const upload of result.rows) {
+    try {
+      if (!upload.sha256) {
+        const stream = await getStorage().get(upload.storage_key)
+        if (!stream) throw new Error("File missing from storage")
+        const sha256 = await hashStream(stream)
+        await pool.query(`UPDATE candidate_uploads SET sha256 = $1 WHERE id = $2`, [sha256, upload.id])
+      }
+
+      const scanned = await scanCandidateUpload(upload)
+      counts[scanned.scan_status]++
+
+      if (scanned.scan_status === "infected") {
+        await recordAuditEvent(SYSTEM_REQUEST, {
+          action: "candidate_upload.infected",
+          entityType: "candidate_upload",
+          entityId: upload.id,
+          before: { scanStatus: upload.scan_status },
+          after: { scanStatus: scanned.scan_status, signature: scanned.scan_result },
+        })
+      }
+
+      if (isScanPassed(scanned)) passedCandidateIds.add(scanned.candidate_id)
+    } catch (error) {
+      console.error(`Error scanning upload ${upload.id}:`, error.message)
+      await pool.query(
+        `UPDATE candidate_uploads SET scan_status = 'error', scan_result = $1, scanned_at = NOW() WHERE id = $2`,
+        [error.message, upload.id],
+      )
+      counts.error++
+    }
+  }
+
+  for (const candidateId of passedCandidateIds) {
+    const candidateResult = await pool.query(
+      `SELECT * FROM candidates WHERE id = $1 AND status IN ('pending', 'link_expired')`,
+      [candidateId],
+    )
+    if (candidateResult.rows.length === 0) continue
+
+    const documents = await getDocumentProgress(candidateResult.rows[0])
+    if (documents.complete) await markChecklistComplete(candidateResult.rows[0], documents)
+  }
+
+  return counts
+}
+
+// Each job has its own advisory lock key (the migrator uses 72510001), so with several
+// instances running only one of them runs a given job at a time
+const jobs = [
+  { name: "link-reminders", lockKey: 72510101, run: sendLinkReminders },
+  { name: "expire-links", lockKey: 72510102, run: deactivateExpiredLinks },
+  { name: "flag-lapsed-candidates", lockKey: 72510103, run: flagLapsedCandidates },
+  { name: "scan-uploads", lockKey: 72510104, run: scanPendingUploads },
+  { name: "expire-offers", lockKey: 72510105, run: expireOffers },
+]
+
+// Run a job unless another instance holds its lock. Returns the job's result, or null if skipped.
+const runJob = async (job) => {
+  const db = await pool.connect()
+
+  try {
+    const lockResult = await db.query(`SELECT pg_try_advisory_lock($1) AS locked`, [job.lockKey])
+    if (!lockResult.rows[0].locked) return null
+
+    try {
+      return await job.run()
+    } finally {
+      await db.query(`SELECT pg_advisory_unlock($1)`, [job.lockKey])
+    }
+  } finally {
+    db.release()
+  }
+}
+
+// Jobs run one after another; one failing does not stop the rest
+const runAllJobs = async () => {
+  const results = {}
+  for (const job of jobs) {
+    try {
+      results[job.name] = await runJob(job)
+    } catch (error) {
+      console.error(`Error running job ${job.name}:`, error)
+      results[job.name] = { error: error.message }
+    }
+  }
+  return results
+}
+
+let schedulerTimer = null
+let running = false
+
+const startScheduler = () => {
+  if (schedulerTimer || process.env.SCHEDULER_DISABLED === "true") return
+
+  const tick = async () => {
+    if (running) return
+    running = true
+    try {
+      await runAllJobs()
+    } finally {
+      running = false
+    }
+  }
+
+  schedulerTimer = setInterval(tick, JOB_INTERVAL_MINUTES * 60 * 1000)
+  schedulerTimer.unref()
+  tick()
+}
+
+module.exports = { runAllJobs, startScheduler }
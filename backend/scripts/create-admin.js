@@ -0,0 +1,45 @@
+// Create (or reset) an admin account, e.g. to bootstrap the first superadmin:
+//   node scripts/create-admin.js admin@zorvixe.com "S3cret-pass" superadmin "Jane Admin"
+require("dotenv").config()
+const pool = require("../db")
+const { ADMIN_ROLES, hashPassword } = require("../auth")
+
+const [email, password, role = "superadmin", name = "Administrator"] = process.argv.slice(2)
+
+const run = async () => {
+  if (!email || !password) {
+    console.error("Usage: node scripts/create-admin.js <email> <password> [role] [name]")
+    process.exitCode = 1
+    return
+  }
+
+  if (!ADMIN_ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ADMIN_ROLES.join(", ")}`)
+    process.exitCode = 1
+    return
+  }
+
+  if (password.length < 8) {
+    console.error("Password must be at least 8 characters")
+    process.exitCode = 1
+    return
+  }
+
+  const result = await pool.query(
+    `INSERT INTO admin_users (name, email, password_hash, role)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (email) DO UPDATE
+       SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role, active = true
+     RETURNING id, name, email, role`,
+    [name, email.trim().toLowerCase(), hashPassword(password), role],
+  )
+
+  console.log("Admin saved:", result.rows[0])
+}
+
+run()
+  .catch((err) => {
+    console.error("Failed to create admin:", err)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
@@ -0,0 +1,55 @@
+// A stand-in ClamAV daemon for local development. Point the backend at it with
+//   UPLOAD_SCANNER=clamav CLAMAV_HOST=localhost CLAMAV_PORT=3310
+// then run `npm run fake-clamd` next to `npm start`. It answers INSTREAM scans the way clamd does
+// and reports any file containing the EICAR test string as infected:
+//   X5O!P%@AP[4\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*
+// Set FAKE_CLAMD_DOWN=true to have it drop every connection, as an unreachable daemon would.
+require("dotenv").config()
+const net = require("net")
+
+const port = Number(process.env.FAKE_CLAMD_PORT) || 3310
+const EICAR = "EICAR-STANDARD-ANTIVIRUS-TEST-FILE"
+
+const server = net.createServer((socket) => {
+  if (process.env.FAKE_CLAMD_DOWN === "true") return socket.destroy()
+
+  let buffer = Buffer.alloc(0)
+  let command = null
+  const chunks = []
+
+  const reply = (message) => {
+    socket.end(`${message}\0`)
+    console.log(message)
+  }
+
+  socket.on("data", (data) => {
+    buffer = Buffer.concat([buffer, data])
+
+    if (command === null) {
+      const end = buffer.indexOf(0)
+      if (end === -1) return
+      command = buffer.subarray(0, end).toString()
+      buffer = buffer.subarray(end + 1)
+
+      if (command !== "zINSTREAM") return reply(`${command}: Unknown command ERROR`)
+    }
+
+    // Length-prefixed chunks until a zero length
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0)
+      if (length === 0) {
+        const content = Buffer.concat(chunks).toString("latin1")
+        return reply(content.includes(EICAR) ? "stream: Eicar-Test-Signature FOUND" : "stream: OK")
+      }
+      if (buffer.length < 4 + length) return
+      chunks.push(buffer.subarray(4, 4 + length))
+      buffer = buffer.subarray(4 + length)
+    }
+  })
+
+  socket.on("error", (error) => console.error("Fake clamd error:", error.message))
+})
+
+server.listen(port, () => {
+  console.log(`Fake ClamAV daemon on localhost:${port}`)
+})
@@ -0,0 +1,106 @@
+// A stand-in payment gateway for local development. Point the backend at it with
+//   PAYMENT_GATEWAY_URL=http://localhost:5099 PAYMENT_GATEWAY_WEBHOOK_SECRET=test_webhook_secret
+// then run `npm run fake-gateway` next to `npm start`. Orders created by the backend are kept in
+// memory; "pay" one to have a signed webhook sent back:
+//   curl -X POST http://localhost:5099/orders/<orderId>/pay
+//   curl -X POST http://localhost:5099/orders/<orderId>/pay -d '{"outcome":"failed"}'
+//   curl -X POST http://localhost:5099/orders/<orderId>/pay -d '{"amount":100}'   (wrong amount)
+require("dotenv").config()
+const http = require("http")
+const crypto = require("crypto")
+
+const port = Number(process.env.FAKE_GATEWAY_PORT) || 5099
+const secret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET || "test_webhook_secret"
+const webhookUrl =
+  process.env.PAYMENT_GATEWAY_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payment/webhook`
+
+// The signing is deliberately re-implemented here rather than borrowed from ../gateway, so a
+// mismatch between the two shows up as a rejected webhook
+const sign = (body) => crypto.createHmac("sha256", secret).update(body).digest("hex")
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString("hex")}`
+
+const orders = new Map()
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let data = ""
+    req.on("data", (chunk) => (data += chunk))
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {})
+      } catch {
+        resolve({})
+      }
+    })
+  })
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+const payOrder = async (order, { outcome = "captured", amount = order.amount }) => {
+  const paymentId = randomId("pay")
+  const event = {
+    id: randomId("evt"),
+    event: outcome === "failed" ? "payment.failed" : "payment.captured",
+    payload: {
+      orderId: order.id,
+      paymentId,
+      amount,
+      currency: order.currency,
+      reason: outcome === "failed" ? "Card declined by issuer" : undefined,
+    },
+  }
+  const body = JSON.stringify(event)
+
+  const response = await fetch(webhookUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Gateway-Signature": sign(body) },
+    body,
+  })
+
+  order.status = outcome === "failed" ? "failed" : "paid"
+  return { event, webhookStatus: response.status, webhookResponse: await response.json().catch(() => null) }
+}
+
+const server = http.createServer(async (req, res) => {
+  const body = await readJson(req)
+
+  try {
+    if (req.method === "POST" && req.url === "/orders") {
+      if (!Number.isInteger(body.amount) || body.amount <= 0) {
+        return send(res, 400, { message: "amount must be a positive integer in minor units" })
+      }
+
+      const order = { id: randomId("order"), amount: body.amount, currency: body.currency || "INR", receipt: body.receipt, status: "created" }
+      orders.set(order.id, order)
+      console.log(`Created ${order.id} for ${order.amount} ${order.currency}`)
+      return send(res, 200, order)
+    }
+
+    const payMatch = req.method === "POST" && req.url.match(/^\/orders\/([^/]+)\/pay$/)
+    if (payMatch) {
+      const order = orders.get(payMatch[1])
+      if (!order) return send(res, 404, { message: "Order not found" })
+
+      const result = await payOrder(order, body)
+      console.log(`${result.event.event} for ${order.id} -> webhook ${result.webhookStatus}`)
+      return send(res, 200, result)
+    }
+
+    if (req.method === "GET" && req.url === "/orders") {
+      return send(res, 200, [...orders.values()])
+    }
+
+    send(res, 404, { message: "Not found" })
+  } catch (error) {
+    console.error("Fake gateway error:", error)
+    send(res, 500, { message: error.message })
+  }
+})
+
+server.listen(port, () => {
+  console.log(`Fake payment gateway on http://localhost:${port}, webhooks to ${webhookUrl}`)
+})
@@ -0,0 +1,82 @@
+// Copy stored files (candidate documents, offer letters, invoices and payment receipts) from the
+// local uploads directory into the configured store, e.g. after switching to STORAGE_DRIVER=s3:
+//   node scripts/migrate-files.js [--dry-run] [--delete-local] [--from <dir>]
+// Files already in the store are left alone, so the command can be re-run after a partial failure.
+// --delete-local removes each local copy once it is in the store.
+require("dotenv").config()
+const path = require("path")
+const pool = require("../db")
+const { STORAGE_DRIVER, LOCAL_STORAGE_DIR, createLocalDriver, getStorage } = require("../storage")
+
+const args = process.argv.slice(2)
+const dryRun = args.includes("--dry-run")
+const deleteLocal = args.includes("--delete-local")
+const fromIndex = args.indexOf("--from")
+const sourceDir = path.resolve(fromIndex === -1 ? LOCAL_STORAGE_DIR : args[fromIndex + 1] || "")
+
+const run = async () => {
+  if (STORAGE_DRIVER === "local" && sourceDir === path.resolve(LOCAL_STORAGE_DIR)) {
+    console.error("The configured store is this same directory. Set STORAGE_DRIVER (and its settings) to the target store.")
+    process.exitCode = 1
+    return
+  }
+
+  const source = createLocalDriver(sourceDir)
+  const target = getStorage()
+
+  // Infected files were deleted when they were caught, so there is nothing to copy for them
+  const result = await pool.query(
+    `SELECT 'Upload ' || id AS label, storage_key, mime_type FROM candidate_uploads
+     WHERE storage_key IS NOT NULL AND scan_status <> 'infected'
+     UNION ALL
+     SELECT 'Offer letter ' || id, storage_key, 'application/pdf' FROM offer_letters WHERE storage_key IS NOT NULL
+     UNION ALL
+     SELECT 'Invoice ' || invoice_number, storage_key, 'application/pdf' FROM invoices
+     UNION ALL
+     SELECT 'Receipt for ' || reference_id, receipt_storage_key, receipt_mime_type FROM payment_registrations
+     WHERE receipt_storage_key IS NOT NULL`,
+  )
+
+  const counts = { copied: 0, alreadyPresent: 0, missing: 0, failed: 0 }
+
+  for (const file of result.rows) {
+    try {
+      if (await target.exists(file.storage_key)) {
+        counts.alreadyPresent++
+        continue
+      }
+
+      if (!(await source.exists(file.storage_key))) {
+        console.warn(`${file.label}: ${file.storage_key} is not in ${sourceDir}`)
+        counts.missing++
+        continue
+      }
+
+      if (!dryRun) {
+        await target.put(file.storage_key, path.join(sourceDir, file.storage_key), {
+          contentType: file.mime_type || "application/pdf",
+        })
+        if (deleteLocal) await source.remove(file.storage_key)
+      }
+
+      console.log(`${dryRun ? "Would copy" : "Copied"} ${file.storage_key}`)
+      counts.copied++
+    } catch (error) {
+      console.error(`${file.label}: failed to copy ${file.storage_key}:`, error.message)
+      counts.failed++
+    }
+  }
+
+  console.log(
+    `${result.rows.length} files: ${counts.copied} ${dryRun ? "to copy" : "copied"}, ` +
+      `${counts.alreadyPresent} already in ${target.name} storage, ${counts.missing} missing locally, ${counts.failed} failed`,
+  )
+  if (counts.failed > 0) process.exitCode = 1
+}
+
+run()
+  .catch((err) => {
+    console.error("File migration failed:", err)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
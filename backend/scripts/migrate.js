@@ -0,0 +1,49 @@
+// Database migrations:
+//   node scripts/migrate.js up           apply all pending migrations
+//   node scripts/migrate.js down [steps] roll back the last <steps> migrations (default 1)
+//   node scripts/migrate.js status       list migrations and whether they are applied
+require("dotenv").config()
+const pool = require("../db")
+const { getStatus, migrateUp, migrateDown } = require("../migrator")
+
+const [command = "status", stepsArg] = process.argv.slice(2)
+
+const run = async () => {
+  if (command === "up") {
+    const ran = await migrateUp()
+    if (ran.length === 0) {
+      console.log("No pending migrations")
+    } else {
+      ran.forEach((name) => console.log(`Applied ${name}`))
+    }
+  } else if (command === "down") {
+    const steps = stepsArg === undefined ? 1 : Number(stepsArg)
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error("Steps must be a positive integer")
+      process.exitCode = 1
+      return
+    }
+
+    const reverted = await migrateDown(steps)
+    if (reverted.length === 0) {
+      console.log("Nothing to roll back")
+    } else {
+      reverted.forEach((name) => console.log(`Rolled back ${name}`))
+    }
+  } else if (command === "status") {
+    const status = await getStatus()
+    status.forEach(({ name, applied, appliedAt }) => {
+      console.log(`${applied ? "applied" : "pending"}  ${name}${appliedAt ? `  (${appliedAt.toISOString()})` : ""}`)
+    })
+  } else {
+    console.error("Usage: node scripts/migrate.js <up|down [steps]|status>")
+    process.exitCode = 1
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error("Migration failed:", err)
+    process.exitCode = 1
+  })
+  .finally(() => pool.end())
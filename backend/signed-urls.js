@@ -0,0 +1,56 @@
+const crypto = require("crypto")
+
+// Candidate documents are never served from a public path. Admins either download them directly
+// (authenticated) or generate a signed URL that works without a session until it expires, e.g.
+// to open a file in a new tab or pass it to a reviewer.
+//
+// Set FILE_URL_SECRET so URLs survive restarts and work across instances; without it a random
+// secret is used and every URL stops working when the process restarts.
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || crypto.randomBytes(32).toString("hex")
+const DEFAULT_URL_MINUTES = Number(process.env.SIGNED_URL_EXPIRY_MINUTES) || 15
+const MAX_URL_MINUTES = 24 * 60
+
+const isSecretConfigured = () => !!process.env.FILE_URL_SECRET
+
+// The admin who generated the URL is part of what is signed, so downloads through it are logged
+// against them
+const signDownload = ({ uploadId, adminId, expires }) =>
+  crypto.createHmac("sha256", FILE_URL_SECRET).update(`candidate_upload:${uploadId}:${adminId}:${expires}`).digest("hex")
+
+// Returns { path, expiresAt } or { error }. The path is relative to the API's base URL.
+const createSignedDownloadPath = (uploadId, adminId, minutes = DEFAULT_URL_MINUTES) => {
+  if (!(Number(minutes) > 0) || Number(minutes) > MAX_URL_MINUTES) {
+    return { error: `expiresInMinutes must be more than 0 and at most ${MAX_URL_MINUTES}` }
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + Math.round(Number(minutes) * 60)
+  const signature = signDownload({ uploadId, adminId, expires })
+  const query = new URLSearchParams({ by: String(adminId), expires: String(expires), signature })
+
+  return {
+    path: `/api/files/candidate-uploads/${uploadId}?${query}`,
+    expiresAt: new Date(expires * 1000),
+  }
+}
+
+// Check the query of a signed URL. Returns { adminId } or { error }.
+const verifySignedDownload = (uploadId, { by, expires, signature }) => {
+  if (!by || !expires || !signature) return { error: "Missing signature" }
+
+  const expected = Buffer.from(signDownload({ uploadId, adminId: by, expires }))
+  const received = Buffer.from(String(signature))
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { error: "Invalid signature" }
+  }
+
+  if (Number(expires) * 1000 < Date.now()) return { error: "This download link has expired" }
+
+  return { adminId: Number(by) }
+}
+
+module.exports = {
+  DEFAULT_URL_MINUTES,
+  isSecretConfigured,
+  createSignedDownloadPath,
+  verifySignedDownload,
+}
@@ -0,0 +1,122 @@
+const crypto = require("crypto")
+const pool = require("./db")
+
+// Submissions per rate window before new ones are quarantined
+const RATE_LIMIT_PER_IP = Number(process.env.CONTACT_RATE_LIMIT_PER_IP) || 5
+const RATE_LIMIT_PER_EMAIL = Number(process.env.CONTACT_RATE_LIMIT_PER_EMAIL) || 3
+const RATE_WINDOW_MINUTES = Number(process.env.CONTACT_RATE_WINDOW_MINUTES) || 60
+// Past this many submissions from one IP in the window we stop storing them at all
+const HARD_LIMIT_MULTIPLIER = 3
+// Humans take at least a few seconds to fill in the form
+const MIN_FILL_SECONDS = Number(process.env.CONTACT_MIN_FILL_SECONDS) || 3
+// Form tokens older than this are treated like a missing one
+const MAX_FORM_AGE_HOURS = Number(process.env.CONTACT_MAX_FORM_AGE_HOURS) || 24
+// Signs the form tokens. Without CONTACT_FORM_SECRET a random secret is used, so forms loaded
+// before a restart are quarantined when submitted after it.
+const CONTACT_FORM_SECRET = process.env.CONTACT_FORM_SECRET || crypto.randomBytes(32).toString("hex")
+const DUPLICATE_WINDOW_HOURS = Number(process.env.CONTACT_DUPLICATE_WINDOW_HOURS) || 24
+const DUPLICATE_SIMILARITY = 0.9
+
+const normalizeMessage = (message) =>
+  message
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+const hashMessage = (message) => crypto.createHash("sha256").update(normalizeMessage(message)).digest("hex")
+
+const isFormSecretConfigured = () => !!process.env.CONTACT_FORM_SECRET
+
+const signFormTime = (issuedAt) =>
+  crypto.createHmac("sha256", CONTACT_FORM_SECRET).update(`contact_form:${issuedAt}`).digest("hex")
+
+// A token the form fetches when it is rendered: "<issued at (ms)>.<signature>"
+const issueFormToken = () => {
+  const issuedAt = Date.now()
+  return `${issuedAt}.${signFormTime(issuedAt)}`
+}
+
+// The time (ms) a form token was issued, or null when it is missing, forged or too old
+const readFormToken = (token) => {
+  const [issuedAt, signature] = String(token || "").split(".")
+  if (!/^\d+$/.test(issuedAt || "") || !signature) return null
+
+  const expected = Buffer.from(signFormTime(issuedAt))
+  const received = Buffer.from(signature)
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null
+
+  const age = Date.now() - Number(issuedAt)
+  if (age < 0 || age > MAX_FORM_AGE_HOURS * 60 * 60 * 1000) return null
+
+  return Number(issuedAt)
+}
+
+// Jaccard similarity of the two messages' word sets
+const similarity = (a, b) => {
+  const wordsA = new Set(normalizeMessage(a).split(" "))
+  const wordsB = new Set(normalizeMessage(b).split(" "))
+  let shared = 0
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++
+  })
+  return shared / (wordsA.size + wordsB.size - shared)
+}
+
+// Decide what to do with a contact form submission:
+//   { action: "accept" }                  store as a normal lead
+//   { action: "quarantine", reasons }     store, but hold for admin review
+//   { action: "reject", reasons }         do not store at all (flooding)
+const screenContactSubmission = async ({ email, message, honeypot, formToken, ipAddress }) => {
+  const reasons = []
+
+  if (honeypot) {
+    reasons.push("honeypot")
+  }
+
+  const formIssuedAt = readFormToken(formToken)
+  if (formIssuedAt === null) {
+    reasons.push("invalid_form_token")
+  } else if ((Date.now() - formIssuedAt) / 1000 < MIN_FILL_SECONDS) {
+    reasons.push("submitted_too_fast")
+  }
+
+  const rateResult = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE ip_address = $1) AS ip_count,
+       COUNT(*) FILTER (WHERE LOWER(email) = LOWER($2)) AS email_count
+     FROM contacts
+     WHERE created_at > NOW() - ($3 || ' minutes')::INTERVAL
+       AND (ip_address = $1 OR LOWER(email) = LOWER($2))`,
+    [ipAddress, email, String(RATE_WINDOW_MINUTES)],
+  )
+
+  const ipCount = Number(rateResult.rows[0].ip_count)
+  const emailCount = Number(rateResult.rows[0].email_count)
+
+  if (ipCount >= RATE_LIMIT_PER_IP * HARD_LIMIT_MULTIPLIER) {
+    return { action: "reject", reasons: ["ip_flood"] }
+  }
+
+  if (ipCount >= RATE_LIMIT_PER_IP) reasons.push("ip_rate_limit")
+  if (emailCount >= RATE_LIMIT_PER_EMAIL) reasons.push("email_rate_limit")
+
+  const recentResult = await pool.query(
+    `SELECT message, message_hash FROM contacts
+     WHERE created_at > NOW() - ($1 || ' hours')::INTERVAL
+     ORDER BY created_at DESC
+     LIMIT 100`,
+    [String(DUPLICATE_WINDOW_HOURS)],
+  )
+
+  const messageHash = hashMessage(message)
+  const isDuplicate = recentResult.rows.some(
+    (row) => row.message_hash === messageHash || similarity(row.message, message) >= DUPLICATE_SIMILARITY,
+  )
+
+  if (isDuplicate) reasons.push("duplicate_message")
+
+  return reasons.length > 0 ? { action: "quarantine", reasons, messageHash } : { action: "accept", messageHash }
+}
+
+module.exports = { isFormSecretConfigured, issueFormToken, screenContactSubmission }
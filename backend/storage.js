@@ -0,0 +1,158 @@
+const fs = require("fs")
+const path = require("path")
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3")
+
+// Where uploaded and generated files live: candidate documents, offer letters, invoices and
+// payment receipts. Keys are relative paths such as "candidates/candidate-123.pdf"; each driver
+// decides where a key ends up.
+//   local  files under LOCAL_STORAGE_DIR (default: the uploads directory). Fine for development,
+//          but lost on hosts whose disk is wiped on every deploy.
+//   s3     objects in S3_BUCKET on AWS or any S3-compatible store (MinIO, R2, ...) at S3_ENDPOINT
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local"
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "uploads")
+
+// A driver is { name, put(key, filePath, { contentType }), get(key), exists(key), move(from, to),
+// remove(key) }. get resolves to a readable stream, or null when there is no such key.
+
+const createLocalDriver = (root = LOCAL_STORAGE_DIR) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`)
+    return filePath
+  }
+
+  return {
+    name: "local",
+
+    put: async (key, filePath) => {
+      const target = resolveKey(key)
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.copyFile(filePath, target)
+    },
+
+    get: async (key) => {
+      const filePath = resolveKey(key)
+      if (!fs.existsSync(filePath)) return null
+      return fs.createReadStream(filePath)
+    },
+
+    exists: async (key) => fs.existsSync(resolveKey(key)),
+
+    move: async (from, to) => {
+      const target = resolveKey(to)
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.rename(resolveKey(from), target)
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true })
+    },
+  }
+}
+
+const isNotFound = (error) =>
+  error.name === "NotFound" || error.name === "NoSuchKey" || (error.$metadata && error.$metadata.httpStatusCode === 404)
+
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET
+  if (!bucket) throw new Error("S3_BUCKET is required when STORAGE_DRIVER is s3")
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted stores only understand bucket-in-path URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === "true" : !!process.env.S3_ENDPOINT,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+    // Newer default checksums are not supported by every S3-compatible store
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+  })
+
+  const prefix = (process.env.S3_PREFIX || "").replace(/\/+$/, "")
+  const objectKey = (key) => (prefix ? `${prefix}/${key}` : key)
+
+  return {
+    name: "s3",
+
+    put: async (key, filePath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(filePath)
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType,
+        }),
+      )
+    },
+
+    get: async (key) => {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+        return result.Body
+      } catch (error) {
+        if (isNotFound(error)) return null
+        throw error
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+        return true
+      } catch (error) {
+        if (isNotFound(error)) return false
+        throw error
+      }
+    },
+
+    // S3 has no rename, so copy then delete the original
+    move: async (from, to) => {
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          CopySource: `${bucket}/${objectKey(from).split("/").map(encodeURIComponent).join("/")}`,
+          Key: objectKey(to),
+        }),
+      )
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(from) }))
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }))
+    },
+  }
+}
+
+const drivers = { local: createLocalDriver, s3: createS3Driver }
+
+const createStorage = (driver = STORAGE_DRIVER) => {
+  if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER: ${driver}`)
+  return drivers[driver]()
+}
+
+let storage = null
+
+// The store configured for this process, created on first use
+const getStorage = () => {
+  if (!storage) storage = createStorage()
+  return storage
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  createLocalDriver,
+  createStorage,
+  getStorage,
+}